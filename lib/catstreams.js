@@ -3,8 +3,12 @@
  */
 
 var mod_assert = require('assert');
+var mod_crypto = require('crypto');
+var mod_fs = require('fs');
+var mod_path = require('path');
 var mod_util = require('util');
 var mod_stream = require('stream');
+var mod_zlib = require('zlib');
 
 /*
  * Use shim for Node v0.8 if necessary.
@@ -13,16 +17,58 @@ if (!mod_stream.PassThrough)
 	mod_stream = require('readable-stream');
 
 var mod_vasync = require('vasync');
+var mod_verror = require('verror');
+
+var VError = mod_verror.VError;
+var MultiError = mod_verror.MultiError;
 
 
 /* Public interface */
 module.exports = CatStreams;
+CatStreams.CatDuplex = CatDuplex;
+
+/* smallest highWaterMark we'll start a stream with under maxBufferedBytes */
+var CS_MIN_BUFFER = 64 * 1024;
+
+/* default segment size for catRanged() */
+var CS_SEGMENT_SIZE = 8 * 1024 * 1024;
+
+/* burst allowed by rate limits, as milliseconds' worth of data */
+var CS_RATE_BURST = 100;
+
+/* number of recent resources whose throughput is used for hedging */
+var CS_HEDGE_SAMPLES = 32;
+
+/* resources that must complete before hedging slow resources */
+var CS_HEDGE_MINSAMPLES = 3;
+
+/* digest algorithms supported for verifying resources */
+var CS_DIGESTS = [ 'md5', 'sha1', 'sha256' ];
+
+/* built-in transforms for cat() */
+var CS_TRANSFORMS = {
+    'gunzip': function (info) {
+	return (mod_zlib.createGunzip(
+	    { 'highWaterMark': info['highWaterMark'] }));
+    },
+    'inflate': function (info) {
+	return (mod_zlib.createInflate(
+	    { 'highWaterMark': info['highWaterMark'] }));
+    }
+};
+
+/* supported values for the "join" option */
+var CS_JOINS = [ 'csv', 'ndjson', 'json-array' ];
+
+/* CatStreams events re-emitted by CatDuplex */
+var CD_EVENTS = [ 'resource-start', 'resource-first-byte', 'resource-end',
+    'resource-error', 'concurrency-change', 'abort' ];
 
 
 /*
  * Custom stream implementation that concatenates the contents of multiple
  * other streams, which are fetched concurrently but emitted in order.  The
- * configuration object contains three properties:
+ * configuration object contains these properties:
  *
  *    log		a bunyan-style logger
  *
@@ -30,20 +76,393 @@ module.exports = CatStreams;
  *
  *    maxConcurrency	max number of streams outstanding
  *
+ *    ordered		if false, emit each resource as soon as it has data
+ *    			available rather than in the order in which resources
+ *    			were added.  Data from different resources is still
+ *    			never interleaved: once we start emitting a resource,
+ *    			we emit all of it before moving on.  In object mode,
+ *    			each object emitted is wrapped in an object with
+ *    			properties "index" (the position of the resource in
+ *    			the order in which it was added) and "chunk" (the
+ *    			original object).  (default: true)
+ *
+ *    separator		optional string or Buffer to emit between consecutive
+ *    			resources.  Resources that emit nothing at all
+ *    			(including no header or footer) don't get separators.
+ *
+ *    ensureNewline	if true, emit a newline after each non-empty resource
+ *    			that doesn't already end with one (default: false)
+ *
+ *    join		optional format of the resources, for joining them into
+ *    			a single valid document of the same format:
+ *
+ *    			"ndjson"	newline-delimited records: a newline
+ *    					is emitted after each resource that
+ *    					doesn't already end with one
+ *
+ *    			"csv"		like "ndjson", but each resource starts
+ *    					with the same header line, which is
+ *    					only emitted for the first resource
+ *    					with any data
+ *
+ *    			"json-array"	each resource is a JSON array, and the
+ *    					output is a single array of all of their
+ *    					elements.  The contents of each array
+ *    					are passed through as-is, so they're not
+ *    					fully validated, but a resource that
+ *    					isn't enclosed in brackets fails with an
+ *    					error whose name is "FormatError".
+ *
+ *    			Resource boundaries are still handled as usual, so
+ *    			"size" and the digests (see cat()) describe each
+ *    			resource as it was fetched.  This option cannot be
+ *    			combined with separator, header, footer, "start", or
+ *    			"length", and isn't supported in object mode.
+ *
+ *    header		optional function invoked as header(info) just before
+ *    			each resource is emitted, where "info" describes the
+ *    			resource (see below).  The function returns a string
+ *    			or Buffer to emit before the resource's data, or null
+ *    			to emit nothing.
+ *
+ *    footer		like "header", but invoked after each resource has been
+ *    			completely emitted to produce data to emit after it.
+ *    			Resources that fail and are skipped get no footer.
+ *
+ *    maxBufferedBytes	optional max amount of data to buffer across all
+ *    			concurrent streams.  Each stream is given the smaller of
+ *    			perRequestBuffer and the remaining budget as its
+ *    			highWaterMark, and no new streams are started while
+ *    			the remaining budget is below a minimum buffer size.
+ *
+ *    maxBytesPerSecond	optional limit on the rate at which data is read from
+ *    			the underlying streams, across all resources (in
+ *    			objects per second, in object mode)
+ *
+ *    maxResourceBytesPerSecond  optional limit on the rate at which data is
+ *    			read from each resource's stream, which can be
+ *    			overridden for individual resources (see cat())
+ *
+ *    start, length	optional window of the concatenated output to emit,
+ *    			given as the offset of the first byte (default: 0) and
+ *    			the number of bytes (default: everything after
+ *    			"start").  When either is given, every resource must
+ *    			be given a "size" (see cat()) so that resources
+ *    			entirely outside the window can be skipped without
+ *    			being fetched at all, and resources partly inside it
+ *    			are fetched using a byte range (see below).  Offsets
+ *    			count only data from resources, not separators,
+ *    			headers, or footers, which are still emitted for each
+ *    			resource in the window.  Digests are not checked for
+ *    			resources that are only partly in the window.
+ *
+ *    spillDirectory	optional directory in which to store data for resources
+ *    			that are ready before it's their turn to be emitted.
+ *    			Normally such a resource stops reading once it has
+ *    			filled its buffer, holding its slot under
+ *    			maxConcurrency (and its share of maxBufferedBytes)
+ *    			until it's emitted.  With a spill directory, it keeps
+ *    			reading into a temporary file instead, so its stream
+ *    			can finish and the next resource can start.  The file
+ *    			is replayed when the resource reaches the head, and
+ *    			removed once it's been emitted or the stream ends,
+ *    			fails, or is aborted.  There's no limit on the amount
+ *    			of data spilled.  Not supported in object mode.
+ *
+ *    maxQueued		optional max number of resources that have been passed
+ *    			to cat() but not yet started.  Once there are this many,
+ *    			the handle returned by cat() has "full" set and
+ *    			queueFull() returns true (though cat() still accepts
+ *    			more resources) until 'queue-drain' is emitted when
+ *    			there's room for more.  Callers adding many resources
+ *    			should stop calling cat() until then, much as with
+ *    			Writable.write() and 'drain'.
+ *
  *    streamOptions	options to pass to the underlying Stream,
  *    			e.g. objectMode
  *
- * To append a resource, callers invoke cat(func), where "func" will be
- * invoked as "func(options)".  "func" should return the stream to be appended.
- * "options" contains options for passing through to the Readable stream
- * constructor (e.g., recommended highWaterMark).
+ *    adaptiveConcurrency  optional object that enables adaptive concurrency,
+ *    			in which case maxConcurrency is only the initial limit.
+ *    			Every "interval" milliseconds (default: 1000), the
+ *    			limit is raised or lowered (but kept between "min" and
+ *    			"max", which are required) based on the observed
+ *    			throughput and time-to-first-byte of resources.  Each
+ *    			change is emitted as 'concurrency-change' with an object
+ *    			describing the old and new limits and the measurements
+ *    			that motivated the change.
+ *
+ *    retry		optional retry policy for individual resources, with
+ *    			properties:
+ *
+ *    			retries		max number of times to retry a failed
+ *    					resource (default: 0)
+ *
+ *    			minTimeout	delay (in milliseconds) before the first
+ *    					retry (default: 100)
+ *
+ *    			maxTimeout	upper bound on the delay between
+ *    					retries, which doubles after each
+ *    					attempt (default: 10000)
+ *
+ *    			retryable	function invoked as retryable(err) that
+ *    					returns whether the error is worth
+ *    					retrying (default: all errors are)
+ *
+ *    timeouts		optional per-resource timeouts, in milliseconds, which
+ *    			apply to each attempt to fetch a resource:
+ *
+ *    			firstByte	max time between invoking the user's
+ *    					function to create the stream and the
+ *    					stream having data available
+ *
+ *    			idle		max time between chunks of data while
+ *    					the resource is being emitted (not
+ *    					counting time spent waiting for our own
+ *    					consumer to read data)
+ *
+ *    			total		max time to emit the whole resource,
+ *    					starting from when it reaches the head
+ *    					of the queue
+ *
+ *    			When a timeout fires, the resource's stream is aborted
+ *    			and the resource fails with an error whose name is
+ *    			"TimeoutError" and whose info includes "timer", the
+ *    			name of the timeout that fired.  That error is subject
+ *    			to the retry policy and onResourceError like any other.
+ *
+ *    hedge		optional policy for hedging the resource at the head of
+ *    			the queue, which everything after it is waiting for,
+ *    			when it's slow.  Once the current attempt to fetch it
+ *    			has been running for "delay" milliseconds (required)
+ *    			without any data being available, or while it's being
+ *    			emitted at less than "ratio" (default: 0.5) times the
+ *    			median throughput of recently emitted resources, its
+ *    			function is invoked again (with the same options as for
+ *    			a retry) to create a second copy of its stream.
+ *    			Whichever copy has data available first wins, and the
+ *    			other is aborted.  (A copy that's already being emitted
+ *    			wins only by ending before the new copy has data.)  Any
+ *    			data from the winner that was already emitted is
+ *    			discarded.  Each resource is hedged at most once.  The
+ *    			second copy doesn't count as an attempt for the retry
+ *    			policy, nor against maxConcurrency or maxBufferedBytes.
+ *    			If it fails, it's just dropped.  If the original copy
+ *    			fails, the second copy is dropped and the failure is
+ *    			handled as usual.  Throughput is measured from the
+ *    			start of each attempt, and slow resources aren't hedged
+ *    			until a few resources have been emitted or while our
+ *    			consumer is applying backpressure.  Not supported when
+ *    			"ordered" is false.
+ *
+ *    onResourceError	what to do when a resource fails (after any retries),
+ *    			which is one of:
+ *
+ *    			"fail"		emit 'error' and abort all other
+ *    					resources (default)
+ *
+ *    			"skip"		drop the failed resource from the output
+ *    					and move on to the next one
+ *
+ *    			"collect"	like "skip", but when all resources have
+ *    					been processed, emit 'error' with a
+ *    					MultiError describing every failure
+ *    					instead of ending the stream
+ *
+ *    			Each error emitted by this stream for a failed resource
+ *    			is a VError whose cause is the resource's error and
+ *    			whose info (see VError.info()) includes "index", the
+ *    			position of the resource in the output.  In
+ *    			"skip" and "collect" modes, each failure is also emitted
+ *    			as 'resource-error'.  Any data already emitted from a
+ *    			skipped resource remains part of the output.
+ *
+ *    signal		optional AbortSignal.  When it's aborted, the stream
+ *    			is aborted with the signal's reason (see abort()).
+ *
+ *    checkpoint	optional path of a journal file (or a checkpoint store;
+ *    			see below) in which to record each resource as it
+ *    			finishes, along with the offset in the output where it
+ *    			ends, so that an interrupted run can be resumed.
+ *    			Resources that fail (with onResourceError "skip" or
+ *    			"collect") or are cancelled are recorded too.  Unless
+ *    			"resumeFrom" is given, the journal starts out empty.
+ *
+ *    resumeFrom	with "checkpoint", the size of the output that was
+ *    			preserved from a previous run, whose journal is loaded
+ *    			to resume it.  The caller must add the same resources
+ *    			in the same order as before.  Those that the journal
+ *    			says were finished within the preserved output are
+ *    			skipped (their handles' state is "skipped"), and
+ *    			resumeOffset() returns the offset in the output where
+ *    			the last of them ends, at or before "resumeFrom".  The
+ *    			caller must truncate the output to that offset before
+ *    			appending this stream's data.  "start" and "length"
+ *    			are not supported with "checkpoint".
+ *
+ *    			A checkpoint store is an object with synchronous
+ *    			methods load() (returning the records from the
+ *    			journal, in order), reset(records) (replacing the
+ *    			journal with "records"), record(record) (appending
+ *    			one), and close().  Each record is an object with
+ *    			properties "index" and "offset".
+ *
+ * To append a resource, callers invoke cat(func[, options]), where "func" will
+ * be invoked as "func(options)" and should return the stream to be appended,
+ * or a Promise that resolves to that stream.  If "func" accepts two arguments,
+ * it will instead be invoked as "func(options, callback)" and should invoke
+ * "callback(err, stream)".  Either way, errors creating the stream (including
+ * exceptions thrown by "func") are handled like errors emitted by the stream,
+ * and time spent creating the stream counts against maxConcurrency and the
+ * firstByte timeout.
+ *
+ * The "options" passed to "func" contains options for passing through to the
+ * Readable stream constructor (e.g., recommended highWaterMark), plus "offset",
+ * the number of bytes of this resource that have already been emitted.
+ * "offset" is zero except when a resource is being retried after a failure,
+ * in which case "func" should return a stream that starts at that byte offset
+ * (e.g., using an HTTP Range request) so that no data is emitted twice or
+ * skipped.  In object mode, "offset" counts objects rather than bytes.
+ *
+ * When only part of a resource is needed (because of the "start" and "length"
+ * options), the "options" passed to "func" also include "start" and "end", the
+ * offsets of the first and last bytes (inclusive) of the resource that the
+ * returned stream should produce (as for an HTTP Range request).  "start" is
+ * adjusted for "offset" when the resource is retried.
  *
  * For example, "func" might make an HTTP client request and invoke "callback"
- * with the response object.
+ * with the response object.  Or it might look up a signed URL and return a
+ * Promise for the stream that fetches it.
+ *
+ * Instead of a single function, "func" may be an array of alternative sources
+ * for the same resource (e.g., replicas stored in different places), in order
+ * of preference.  Each source is either a function, which is invoked as
+ * described above, or an object with properties "func" (the function) and
+ * "resumable" (false if the function can't honor "offset", in which case the
+ * source can only be used before any of the resource has been emitted).  We
+ * start with the first source.  Whenever a stream fails (including failing to
+ * be created or timing out), we fall over to the next source that can be used,
+ * picking up at the offset where the failed stream left off, without emitting
+ * an error.  This happens regardless of the retry policy's "retryable"
+ * function, and falling over doesn't count as a retry.  Once no other source
+ * can be used, the retry policy applies to the last one as usual.  If the
+ * resource fails for good, the cause of the error emitted for it is a
+ * MultiError listing the error from every stream attempted (or just that error,
+ * if there was only one), each of which is a VError whose info includes
+ * "source", the position of its source in the array.  Resources with a
+ * transform can always use any source, since they're fetched from the
+ * beginning anyway.  catRanged() accepts an array of sources the same way.
+ *
+ * The "options" passed to cat() is an optional object describing the
+ * resource, with properties:
+ *
+ *    metadata		arbitrary caller-provided data about the resource (e.g.,
+ *    			its name), which is passed through to the header and
+ *    			footer functions and per-resource events
+ *
+ *    size		expected size of the resource, in bytes (or objects, in
+ *    			object mode)
+ *
+ *    md5, sha1, sha256	expected digest of the resource's contents, as either a
+ *    			hex or base64 string
+ *
+ *    maxBytesPerSecond	optional limit on the rate at which data is read from
+ *    			this resource's stream, overriding the
+ *    			maxResourceBytesPerSecond constructor option
+ *
+ *    transform		optional function that returns a Transform stream
+ *    			through which the resource's data is passed before
+ *    			it's emitted, or the name of a built-in one: "gunzip"
+ *    			or "inflate" (to decompress each resource separately
+ *    			using zlib).  The function is invoked for each stream
+ *    			created for the resource with the same object that's
+ *    			emitted with 'resource-start', plus "highWaterMark",
+ *    			the buffer size reserved for the resource, which the
+ *    			transform should use too.  Since the transform is
+ *    			applied as the resource is fetched, it runs
+ *    			concurrently with other resources rather than when the
+ *    			resource is emitted.  "size" and the digests describe
+ *    			the transformed data.  Since there's generally no way
+ *    			to resume a transform partway through, the "offset"
+ *    			passed to "func" is always zero: the resource is
+ *    			fetched again from the beginning when it's retried,
+ *    			and the transformed data that was already emitted is
+ *    			discarded.  Transforms are not supported with the
+ *    			"start" and "length" constructor options or with
+ *    			catRanged().
+ *
+ * If "size" or a digest is given, the resource's contents are checked as they
+ * are emitted.  If they don't match, the resource fails (without being retried,
+ * since some of the data has already been emitted) with an error whose name is
+ * "IntegrityError", and that error is handled according to onResourceError.
+ * The check happens before any data from later resources is emitted, and a
+ * resource that's larger than expected fails before the extra data is emitted.
  *
  * If "func" is null, the stream will accept no more "cat" requests and will
  * emit the 'end' event when all previously submitted requests have completed.
  *
+ * cat() returns a handle for the resource, which has the properties and methods
+ * below.  Once the stream has failed, cat() ignores the resource and returns
+ * null instead, so callers that add resources in a loop until "full" is set
+ * must check for null first ("cs.cat(f).full" throws after a failure) and stop,
+ * since the stream will emit no more data.  cat(null) also returns null.
+ *
+ *    index		position of the resource in the output
+ *
+ *    full		true if maxQueued resources were waiting to be started
+ *    			once this one was added (see maxQueued).  This takes
+ *    			the place of the false return value of
+ *    			Writable.write(): since cat() returns a handle, callers
+ *    			must check "full" rather than the return value itself.
+ *
+ *    state()		returns the resource's current state, which is one of
+ *    			"queued" (not yet started), "fetching" (stream being
+ *    			created, or no data available yet), "buffered" (data
+ *    			available, waiting to be emitted), "piping" (being
+ *    			emitted), "done", "failed", "cancelled", or "skipped"
+ *    			(outside the window given by "start" and "length", or
+ *    			already emitted according to "checkpoint")
+ *
+ *    nbytes()		returns the number of bytes (or objects, in object mode)
+ *    			of the resource emitted so far
+ *
+ *    cancel()		drops the resource from the output, aborting its stream
+ *    			if it has one, without affecting any other resources.
+ *    			If the resource is already being emitted, it's cut off
+ *    			where it is, like a skipped resource that failed.
+ *    			Returns false if the resource had already finished.
+ *
+ * Rather than calling cat() directly, callers can use CatStreams.from() to
+ * construct a stream from an iterable of functions.  Besides the usual stream
+ * interfaces, the output can be consumed with "for await" (where supported) or
+ * with collect() or toBuffer(), which return Promises.
+ *
+ * To monitor progress, consumers can call stats() (see below) or listen for
+ * per-resource events: 'resource-start' (emitted whenever a stream is created
+ * for a resource, including for retries), 'resource-first-byte' (emitted when
+ * that stream first has data available), and 'resource-end' (emitted when the
+ * resource has been completely emitted).  Each of these is emitted with an
+ * object describing the resource:
+ *
+ *    index		position of the resource in the output
+ *
+ *    attempts		number of streams created for the resource
+ *
+ *    nbytes		number of bytes of the resource emitted so far
+ *
+ *    started		time (in milliseconds since the epoch) when the first
+ *    			stream was created for the resource
+ *
+ *    ttfb		milliseconds between creating the current stream and
+ *    			its first byte being available, or null if no data has
+ *    			been available yet
+ *
+ *    elapsed		milliseconds since "started"
+ *
+ *    metadata		the "metadata" passed to cat() for this resource
+ *
+ *    source		position of the source being used in the array of
+ *    			sources passed to cat(), or 0 if there's only one
+ *
  *
  * IMPLEMENTATION NOTES
  *
@@ -59,6 +478,75 @@ module.exports = CatStreams;
  *        use case requires that we be mindful of how much data we buffer, since
  *        if we took the same approach as for (1), we could end up buffering
  *        lots of data.
+ *
+ * With only perRequestBuffer, the worst-case amount of data buffered is
+ * perRequestBuffer * maxConcurrency, which is fine for (1) but can be huge for
+ * (2).  maxBufferedBytes bounds the total instead: each stream reserves its
+ * highWaterMark from the budget when it's started and releases it when it
+ * ends.  Streams that can't get a reservation wait (in order) in
+ * "cs_budgetwait", still occupying a slot in the work queue, until earlier
+ * streams finish.  The head of "cs_ready" can always be started, since all
+ * streams ahead of it have ended and released their reservations.
+ *
+ * A single very large resource can't benefit from concurrency at all unless
+ * it's split up, which is what catRanged() does.  Each segment is queued as
+ * its own entry in the work queue (and in "cs_ready"), so the existing
+ * concurrency and buffering limits apply to segments without any special
+ * handling.  The segments of a resource share a "group" object, which tracks
+ * the state of the resource as a whole, and only the first and last segments
+ * emit what goes before and after a resource.
+ *
+ * With spillDirectory, a resource that has data available but isn't being
+ * emitted copies its stream into a spill file (rqSpill()).  Its stream then
+ * reaches "end" and releases its slot and budget like any other, but
+ * rq['ended'] doesn't mean the resource is done until it's been replayed.
+ * When it reaches the head, we stop spilling, flush the file, and attach a
+ * new stream that emits the file followed by whatever the original stream
+ * hadn't yet produced (rqReplay()).  From then on, the resource is emitted
+ * the usual way.  Offsets still count only bytes emitted, so if the original
+ * stream fails, the spilled data is discarded and the retry starts over from
+ * there.
+ *
+ * When "ordered" is false, the resource currently being emitted is still kept
+ * at the front of "cs_ready", so most of the code doesn't need to care about
+ * ordering.  pickHead() moves whichever resource has data available first to
+ * the front of the queue when we're ready to emit the next resource.
+ *
+ * Rate limits are enforced where we read from the underlying streams: when
+ * a token bucket is empty, we stop reading and set a timer to resume, just as
+ * we stop when our consumer applies backpressure.  Data is never dropped; the
+ * stream's own buffer fills and it stops reading from its source.  Since only
+ * the resource being emitted is read, resources waiting behind it can still
+ * fetch up to their buffer size ahead of the limit, so the limit bounds the
+ * long-term rate rather than every burst.  A resource that's being spilled is
+ * read subject to the same limits, with its own timer ("ratetimer" in its
+ * spill state).  The spilled data counts against the limits when it's read
+ * from the original stream, so it's not counted again when it's replayed.
+ *
+ * Since the best concurrency for (1) is much higher than for (2), and the
+ * workload isn't always known in advance, adaptiveConcurrency tunes the
+ * limit on the fly with a simple hill-climbing algorithm.  At each interval,
+ * we compare the throughput (bytes emitted) with the previous interval's.  If
+ * the last change improved throughput noticeably, we keep going in the same
+ * direction.  If it made throughput noticeably worse, we reverse direction.
+ * Otherwise, we hold steady.  We also hold steady when we're not actually
+ * using the whole limit or when our consumer is applying backpressure, since
+ * the limit isn't what's constraining throughput in those cases.  Separately,
+ * if the average time-to-first-byte for recently-started resources grows well
+ * beyond the best we've seen, we take that as a sign that the server is
+ * overloaded and back off.
+ *
+ * Hedging only ever applies to the head of "cs_ready", since that's the only
+ * resource whose latency holds up the output, so a single timer
+ * ("cs_hedgetimer") suffices.  It's armed whenever a new resource reaches the
+ * head (in pipeHead()) and fires "delay" milliseconds after the resource's
+ * current attempt started.  If the resource isn't slow by then, we check again
+ * every "delay" milliseconds.  The second copy's stream is kept in
+ * rq['hedge'] until it either loses, in which case it's aborted, or wins, in
+ * which case the original stream is detached and aborted just as for a retry
+ * and the new one is attached in its place (hedgeWon()).  Since the original
+ * stream may have gone on emitting data in the meantime, the new stream
+ * discards whatever was emitted after the offset it started at.
  */
 function CatStreams(options)
 {
@@ -68,164 +556,3162 @@ function CatStreams(options)
 	mod_assert.ok(options.hasOwnProperty('maxConcurrency',
 	    'maxConcurrency is required'));
 
+	var retry = options['retry'] || {};
+	var timeouts = options['timeouts'] || {};
+	var onerror = options['onResourceError'] || 'fail';
+	var s = this;
+
+	mod_assert.ok(onerror == 'fail' || onerror == 'skip' ||
+	    onerror == 'collect', 'unsupported onResourceError: ' + onerror);
+
 	/* helper objects */
 	this.cs_log = options['log'];
 	this.cs_hiwat = options['perRequestBuffer'];
 	this.cs_maxconcurr = options['maxConcurrency'];
+	this.cs_maxbuffered = options.hasOwnProperty('maxBufferedBytes') ?
+	    options['maxBufferedBytes'] : Infinity;
+	this.cs_minhiwat = Math.min(this.cs_hiwat, this.cs_maxbuffered,
+	    CS_MIN_BUFFER);
+	this.cs_maxqueued = options['maxQueued'] || Infinity;
+	this.cs_windowed = options['start'] !== undefined ||
+	    options['length'] !== undefined;
+	this.cs_wstart = options['start'] || 0;
+	this.cs_wend = options['length'] !== undefined ?
+	    this.cs_wstart + options['length'] : Infinity;
+	this.cs_wpos = 0;		/* window offset of next resource */
+	this.cs_retries = retry['retries'] || 0;
+	this.cs_retrymin = retry.hasOwnProperty('minTimeout') ?
+	    retry['minTimeout'] : 100;
+	this.cs_retrymax = retry.hasOwnProperty('maxTimeout') ?
+	    retry['maxTimeout'] : 10000;
+	this.cs_retryable = retry['retryable'] ||
+	    function () { return (true); };
+	this.cs_onerror = onerror;
+	this.cs_timeouts = {
+	    'firstByte': timeouts['firstByte'] || 0,
+	    'idle': timeouts['idle'] || 0,
+	    'total': timeouts['total'] || 0
+	};
+	this.cs_adaptive = options['adaptiveConcurrency'] || null;
+	if (this.cs_adaptive !== null) {
+		mod_assert.equal(typeof (this.cs_adaptive['min']), 'number',
+		    'adaptiveConcurrency.min is required');
+		mod_assert.equal(typeof (this.cs_adaptive['max']), 'number',
+		    'adaptiveConcurrency.max is required');
+		mod_assert.ok(this.cs_adaptive['min'] > 0 &&
+		    this.cs_adaptive['min'] <= this.cs_adaptive['max'],
+		    'adaptiveConcurrency requires 0 < min <= max');
+		this.cs_maxconcurr = Math.max(this.cs_adaptive['min'],
+		    Math.min(this.cs_adaptive['max'], this.cs_maxconcurr));
+	}
 	this.cs_queue = mod_vasync.queuev({
 	    'concurrency': this.cs_maxconcurr,
 	    'worker': this.work.bind(this)
 	});
 
 	this.cs_aborted = false;	/* stream has been aborted */
+	this.cs_abortreason = null;	/* reason given to abort() */
+	this.cs_failed = false;		/* stream has failed */
+	this.cs_errors = [];		/* collected resource failures */
 	this.cs_ended = false;		/* stream has been ended */
 	this.cs_ready = [];		/* streams being fetched, in order */
+	this.cs_budgetwait = [];	/* streams waiting for buffer budget */
+	this.cs_qfull = false;		/* handle has had "full" set */
+	this.cs_nreserved = 0;		/* buffer budget reserved */
+	this.cs_nresources = 0;		/* count of resources added */
 	this.cs_nqueued = 0;		/* count of resources queued */
 	this.cs_nstarted = 0;		/* count of resources started */
-	this.cs_ndone = 0;		/* count of resources done */
+	this.cs_ndone = 0;		/* count of resources emitted */
+	this.cs_nfailed = 0;		/* count of resources failed */
+	this.cs_ncancelled = 0;		/* count of resources cancelled */
+	this.cs_nskipped = 0;		/* count outside window */
+	this.cs_nqdropped = 0;		/* count dropped before starting */
+	this.cs_continue = null;	/* ranged resource being emitted */
+	this.cs_nbytes = 0;		/* count of bytes emitted */
+	this.cs_tstart = 0;		/* time first resource started */
+	this.cs_blocked = false;	/* waiting for consumer to drain */
+	this.cs_bucket = options['maxBytesPerSecond'] ?
+	    new TokenBucket(options['maxBytesPerSecond']) : null;
+	this.cs_rqrate = options['maxResourceBytesPerSecond'] || 0;
+	this.cs_ratetimer = null;	/* waiting for rate limit */
+	this.cs_objmode = options.streamOptions !== undefined &&
+	    options.streamOptions.objectMode === true;
+	this.cs_spilldir = options['spillDirectory'] || null;
+	this.cs_nspilled = 0;		/* bytes in spill files */
+	mod_assert.ok(this.cs_spilldir === null || !this.cs_objmode,
+	    'spillDirectory is not supported in object mode');
+	this.cs_ordered = options['ordered'] !== false;
+	this.cs_separator = options['separator'] || null;
+	this.cs_ensurenl = options['ensureNewline'] === true;
+	this.cs_header = options['header'] || null;
+	this.cs_footer = options['footer'] || null;
+	this.cs_nemitted = 0;		/* count of resources with output */
+	this.cs_join = options['join'] || null;
+	this.cs_joinstarted = false;	/* joined output has begun */
+	if (this.cs_join !== null) {
+		mod_assert.ok(CS_JOINS.indexOf(this.cs_join) != -1,
+		    'unsupported join: ' + this.cs_join);
+		mod_assert.ok(!this.cs_objmode,
+		    'join is not supported in object mode');
+		mod_assert.ok(this.cs_separator === null &&
+		    this.cs_header === null && this.cs_footer === null,
+		    'join cannot be used with separator, header, or footer');
+		mod_assert.ok(!this.cs_windowed, 'join is not supported with ' +
+		    'the "start" and "length" options');
+	}
+
+	this.cs_hedge = null;		/* hedging policy */
+	this.cs_hedgetimer = null;	/* timer for hedging the head */
+	this.cs_hedgerq = null;		/* resource "cs_hedgetimer" is for */
+	this.cs_hedgetputs = [];	/* throughput of recent resources */
+	this.cs_nhedged = 0;		/* count of resources hedged */
+	this.cs_nhedgewon = 0;		/* count of hedges that won */
+	if (options['hedge'] !== undefined) {
+		mod_assert.equal(typeof (options['hedge']['delay']), 'number',
+		    'hedge.delay is required');
+		mod_assert.ok(this.cs_ordered,
+		    'hedge is not supported when "ordered" is false');
+		this.cs_hedge = {
+		    'delay': options['hedge']['delay'],
+		    'ratio': options['hedge']['ratio'] || 0.5
+		};
+	}
+
+	this.cs_checkpoint = null;	/* checkpoint store */
+	this.cs_ckbase = 0;		/* output offset we resumed at */
+	this.cs_ckdone = null;		/* indexes of resources already done */
+	if (options['checkpoint'] !== undefined) {
+		mod_assert.ok(!this.cs_windowed, 'checkpoint is not ' +
+		    'supported with the "start" and "length" options');
+		this.cs_checkpoint = typeof (options['checkpoint']) ==
+		    'string' ? new FileCheckpoint(options['checkpoint']) :
+		    options['checkpoint'];
+		this.checkpointLoad(options['resumeFrom'] || 0);
+	}
+
+	/* adaptive concurrency state (see above) */
+	this.cs_actimer = null;		/* interval timer */
+	this.cs_acdir = 1;		/* direction of last change */
+	this.cs_aclast = 0;		/* throughput for last interval */
+	this.cs_acbytes = 0;		/* cs_nbytes at last interval */
+	this.cs_acttfbs = [];		/* first-byte times for this interval */
+	this.cs_acttfbmin = Infinity;	/* best average first-byte time */
+	this.cs_acblocked = false;	/* backpressure during this interval */
 
 	mod_stream.PassThrough.call(this, options.streamOptions);
+
+	this.on('drain', this.onDrain.bind(this));
+
+	this.cs_signal = options['signal'] || null;
+	this.cs_onsignal = null;
+	if (this.cs_signal !== null) {
+		if (this.cs_signal.aborted) {
+			process.nextTick(function () {
+				s.abort(s.cs_signal.reason);
+			});
+		} else {
+			this.cs_onsignal = function () {
+				s.abort(s.cs_signal.reason);
+			};
+			this.cs_signal.addEventListener('abort',
+			    this.cs_onsignal);
+		}
+	}
+
+	if (this.cs_adaptive !== null) {
+		this.cs_actimer = setInterval(this.adaptTick.bind(this),
+		    this.cs_adaptive['interval'] || 1000);
+		if (this.cs_actimer.unref)
+			this.cs_actimer.unref();
+	}
 }
 
 mod_util.inherits(CatStreams, mod_stream.PassThrough);
 
-CatStreams.prototype.cat = function (func)
+/*
+ * Returns a new CatStreams, constructed with "options", that concatenates the
+ * resources produced by "iterable", which may be either a synchronous or an
+ * asynchronous iterable.  Each value produced by the iterable may be either a
+ * function to pass to cat() or an object whose "func" property is that
+ * function and whose other properties are the options for cat().  When the
+ * iterable is exhausted, cat(null) is invoked.  If iterating fails, the
+ * returned stream fails with that error.  The iterable is consumed lazily:
+ * whenever queueFull() returns true (see maxQueued), we stop until
+ * 'queue-drain'.
+ */
+CatStreams.from = function (iterable, options)
 {
-	var rq;
+	var cs, iter, next, pump, j;
 
-	if (this.cs_ended)
-		throw (new Error('stream has already been ended'));
+	cs = new CatStreams(options);
 
-	if (this.cs_aborted)
-		throw (new Error('stream has already been aborted'));
+	if (typeof (Symbol) != 'undefined' && Symbol.asyncIterator &&
+	    typeof (iterable[Symbol.asyncIterator]) == 'function') {
+		iter = iterable[Symbol.asyncIterator]();
+		next = function () {
+			if (cs.cs_aborted || cs.cs_failed) {
+				if (typeof (iter.return) == 'function')
+					iter.return();
+				return;
+			}
 
-	if (func !== null) {
-		rq = {
-		    'func': func,
-		    'ended': false,
-		    'stream': null
+			iter.next().then(function (result) {
+				process.nextTick(function () {
+					if (cs.cs_aborted || cs.cs_failed)
+						return;
+					if (result.done) {
+						cs.cat(null);
+						return;
+					}
+					cs.catItem(result.value);
+					if (cs.queueFull())
+						cs.once('queue-drain', next);
+					else
+						next();
+				});
+			}, function (err) {
+				process.nextTick(function () {
+					if (!cs.cs_aborted && !cs.cs_failed)
+						cs.fail(new VError(err,
+						    'iterating resources'));
+				});
+			});
 		};
-		this.cs_log.trace({ 'resource': rq }, 'enqueuing resource');
-		this.cs_queue.push(rq);
-		this.cs_nqueued++;
-		return;
+		next();
+		return (cs);
+	}
+
+	if (Array.isArray(iterable)) {
+		j = 0;
+		next = function () {
+			if (j == iterable.length)
+				return ({ 'done': true });
+			return ({ 'done': false, 'value': iterable[j++] });
+		};
+	} else {
+		iter = iterable[Symbol.iterator]();
+		next = function () { return (iter.next()); };
+	}
+
+	pump = function () {
+		var item;
+
+		for (;;) {
+			if (cs.cs_aborted || cs.cs_failed) {
+				if (iter && typeof (iter.return) == 'function')
+					iter.return();
+				return;
+			}
+
+			item = next();
+			if (item.done) {
+				cs.cat(null);
+				return;
+			}
+
+			cs.catItem(item.value);
+			if (cs.queueFull()) {
+				cs.once('queue-drain', pump);
+				return;
+			}
+		}
+	};
+	pump();
+	return (cs);
+};
+
+CatStreams.prototype.cat = function (func, options)
+{
+	var rq, range;
+
+	if (!this.catCheck())
+		return (null);
+
+	if (func !== null) {
+		options = options || {};
+		rq = this.rqCreate(this.cs_nresources++, func, options);
+		if (this.checkpointDone(rq['index']))
+			return (this.rqSkip(rq));
+		if (this.cs_windowed) {
+			range = this.windowRange(options['size']);
+			if (range['start'] > range['end'])
+				return (this.rqSkip(rq));
+			if (range['start'] > 0 ||
+			    range['end'] < options['size'] - 1) {
+				rq['range'] = range;
+				rq['size'] = range['end'] - range['start'] + 1;
+				rq['hashes'] = [];
+			}
+		}
+		this.rqEnqueue(rq);
+		return (new ResourceHandle(this, rq));
 	}
 
 	this.cs_log.debug('input stream ended');
 	this.cs_ended = true;
 
 	if (this.queueIsIdle())
-		this.end();
+		this.finish();
+	return (null);
 };
 
-CatStreams.prototype.queueIsIdle = function ()
+/*
+ * Append a single resource of "size" bytes that's fetched in segments of
+ * options.segmentSize bytes (default: 8MB) by invoking "rangeFactory" the way
+ * cat() invokes "func", except that the options passed to it also include
+ * "start" and "end", the byte offsets of the first and last bytes (inclusive)
+ * that the returned stream should produce (as for an HTTP Range request).
+ * "offset" is still the number of bytes of the segment already emitted, and
+ * is already accounted for in "start".  When only part of the resource falls
+ * within the window given by the "start" and "length" constructor options,
+ * only that part is divided into segments and fetched.
+ *
+ * Each segment occupies its own slot in the work queue and its own share of
+ * maxBufferedBytes, so segments are fetched concurrently subject to the same
+ * limits as separate resources (and count separately in stats() and against
+ * maxQueued), and the 'resource-start' and 'resource-first-byte' events are
+ * emitted for each segment.  Otherwise, the segments are emitted in order as a
+ * single resource: they share an index, a header and footer, a rate limit, and
+ * digests, and if any segment fails, the whole resource fails.  Other options
+ * are the same as for cat(), except that "size" is ignored.  Returns a handle
+ * for the resource, as cat() does.  Ranged resources are not supported in
+ * object mode.
+ */
+CatStreams.prototype.catRanged = function (size, rangeFactory, options)
 {
-	return (this.cs_queue.length() === 0 && this.cs_queue.npending === 0);
+	var segsize, index, group, rq, range, start, first;
+
+	mod_assert.equal(typeof (size), 'number');
+	mod_assert.ok(typeof (rangeFactory) == 'function' ||
+	    Array.isArray(rangeFactory));
+	mod_assert.ok(!this.cs_objmode,
+	    'ranged resources are not supported in object mode');
+
+	options = options || {};
+	segsize = options['segmentSize'] || CS_SEGMENT_SIZE;
+	mod_assert.ok(segsize > 0, 'segmentSize must be positive');
+	mod_assert.ok(options['transform'] === undefined,
+	    'transforms are not supported for ranged resources');
+
+	if (!this.catCheck())
+		return (null);
+
+	index = this.cs_nresources++;
+	group = {
+	    'segments': [],		/* resources for each segment */
+	    'nbytes': 0,		/* bytes emitted so far */
+	    'failed': false,		/* resource has failed */
+	    'cancelled': false,		/* resource was cancelled */
+	    'join': null		/* see joinState() */
+	};
+
+	if (this.checkpointDone(index)) {
+		return (this.rqSkip(
+		    this.rqCreate(index, rangeFactory, options)));
+	} else if (this.cs_windowed) {
+		range = this.windowRange(size);
+		if (range['start'] > range['end'])
+			return (this.rqSkip(
+			    this.rqCreate(index, rangeFactory, options)));
+	} else if (size === 0) {
+		/* There's nothing to fetch, but it's still a resource. */
+		rq = this.rqCreate(index, emptyStream, options);
+		rq['size'] = 0;
+		this.rqEnqueue(rq);
+		return (new ResourceHandle(this, rq));
+	} else {
+		range = { 'start': 0, 'end': size - 1 };
+	}
+
+	for (start = range['start']; start <= range['end']; start += segsize) {
+		if (group['segments'].length === 0) {
+			rq = this.rqCreate(index, rangeFactory, options);
+			if (range['start'] > 0 || range['end'] < size - 1)
+				rq['hashes'] = [];
+		} else {
+			first = group['segments'][0];
+			rq = this.rqCreate(index, rangeFactory,
+			    { 'metadata': options['metadata'] });
+			rq['begun'] = true;
+			rq['hashes'] = first['hashes'];
+			rq['bucket'] = first['bucket'];
+		}
+		rq['range'] = {
+		    'start': start,
+		    'end': Math.min(start + segsize - 1, range['end'])
+		};
+		rq['size'] = rq['range']['end'] - start + 1;
+		rq['group'] = group;
+		group['segments'].push(rq);
+	}
+
+	group['segments'].forEach(this.rqEnqueue, this);
+	return (new ResourceHandle(this, group['segments'][0]));
 };
 
-CatStreams.prototype.work = function (rq, callback)
+/*
+ * When "start" or "length" was specified, returns the part of the next
+ * resource, which is "size" bytes long, that falls within the window, as an
+ * object with "start" and "end" (inclusive) relative to the resource.  If no
+ * part of the resource is in the window, "end" is less than "start".
+ */
+CatStreams.prototype.windowRange = function (size)
 {
-	this.cs_nstarted++;
-	this.cs_ready.push(rq);
+	var start, end;
 
-	/*
-	 * Invoke the user function to create the stream, passing through the
-	 * configured buffer size.  On "end", invoke the callback function so
-	 * the work queue can dispatch more work.  Then issue a read(0) to start
-	 * reading without consuming any bytes.
-	 *
-	 * For non-empty objects, the stream won't emit "end" until this request
-	 * reaches the head of the queue, which is when we start piping its
-	 * data out.  However, empty objects (i.e., zero-byte streams) will emit
-	 * "end" any time after we invoke read(0), since we will have consumed
-	 * all of the data.  For that reason, we have to set rq['ended'] in our
-	 * "end" handler and check for this case when we're ready to pipe this
-	 * stream.
-	 */
-	rq['stream'] = rq['func']({ 'highWaterMark': this.cs_hiwat });
-	rq['stream'].on('end', function () {
-		rq['ended'] = true;
-		callback();
-	});
-	rq['stream'].read(0);
-	rq['stream'].on('error', this.emit.bind(this, 'error'));
+	mod_assert.equal(typeof (size), 'number',
+	    'resource size is required with "start" or "length"');
 
-	/*
-	 * If this is the only entry on the queue, then it's now the head, and
-	 * we must pipe it to our consumer.  When it finishes emitting, the next
-	 * item in the queue will be piped in the same way.
-	 */
-	if (this.cs_ready.length == 1)
-		this.pipeHead();
+	start = Math.max(this.cs_wstart - this.cs_wpos, 0);
+	end = Math.min(this.cs_wend - this.cs_wpos, size) - 1;
+	this.cs_wpos += size;
+
+	return ({ 'start': start, 'end': end });
 };
 
-CatStreams.prototype.pipeHead = function ()
+/*
+ * Resource "rq" falls entirely outside the window, or was already emitted
+ * before we resumed from a checkpoint, so it won't be fetched or emitted at
+ * all.
+ */
+CatStreams.prototype.rqSkip = function (rq)
 {
-	mod_assert.ok(this.cs_ready.length > 0);
+	this.cs_log.trace({ 'index': rq['index'] }, 'skipping resource');
+	rq['skipped'] = true;
+	rq['func'] = null;
+	this.cs_nskipped++;
+	return (new ResourceHandle(this, rq));
+};
 
-	var s = this;
-	var rq = this.cs_ready[0];
+/*
+ * Common checks for cat() and catRanged(), which returns whether to accept a
+ * new resource.
+ */
+CatStreams.prototype.catCheck = function ()
+{
+	if (this.cs_ended)
+		throw (new Error('stream has already been ended'));
 
-	if (rq['ended']) {
-		/*
-		 * "end" was already emitted.  This must have been a zero-byte
-		 * object.  See the comment in work() above.
-		 */
-		this.rqFini(rq);
-	} else {
-		rq['stream'].pipe(this, { 'end': false });
-		rq['stream'].on('end', function () { s.rqFini(rq); });
+	if (this.cs_aborted)
+		throw (new Error('stream has already been aborted'));
+
+	if (this.cs_failed) {
+		this.cs_log.trace('ignoring resource after failure');
+		return (false);
 	}
+
+	return (true);
 };
 
-CatStreams.prototype.rqFini = function (rq)
+/*
+ * Returns a new resource at position "index" in the output whose stream is
+ * created by "func", with "options" as passed to cat().
+ */
+CatStreams.prototype.rqCreate = function (index, func, options)
 {
-	mod_assert.ok(this.cs_ready[0] == rq);
-	this.cs_ready.shift();
-	this.cs_ndone++;
+	var rq, rate;
 
-	if (this.cs_ready.length > 0) {
-		this.pipeHead();
-	} else if (this.queueIsIdle()) {
-		if (this.cs_ended) {
-			this.end();
-		} else if (!this.cs_aborted) {
-			this.emit('request-drain');
+	rq = {
+	    'index': index,		/* position in the output */
+	    'func': func,		/* user's stream factory */
+	    'ended': false,		/* current stream has ended */
+	    'stream': null,		/* current stream */
+	    'piping': false,		/* stream is being emitted */
+	    'nbytes': 0,		/* bytes emitted so far */
+	    'sbytes': 0,		/* "nbytes" when attempt started */
+	    'nattempts': 0,		/* number of streams created */
+	    'hiwat': 0,			/* budget reserved */
+	    'tstart': 0,		/* time attempt started */
+	    'tfirst': 0,		/* time of first byte (or 0) */
+	    'tbegin': 0,		/* time of first attempt */
+	    'failed': false,		/* resource has failed */
+	    'cancelled': false,		/* resource was cancelled */
+	    'done': false,		/* resource has been emitted */
+	    'setup': false,		/* creating stream */
+	    'timer': null,		/* retry timer */
+	    'timers': {},		/* timeouts, by name */
+	    'callback': null,		/* work queue callback */
+	    'metadata': options['metadata'],
+	    'begun': false,		/* header has been emitted */
+	    'lastbyte': null,		/* last byte emitted */
+	    'size': options['size'],	/* expected size */
+	    'hashes': [],		/* digests to verify */
+	    'bucket': null,		/* rate limit */
+	    'range': null,		/* byte range to fetch */
+	    'group': null,		/* all segments of the resource */
+	    'skipped': false,		/* resource won't be fetched */
+	    'spill': null,		/* spill file state */
+	    'transform': null,		/* creates transform stream */
+	    'discard': 0,		/* bytes to drop after retry */
+	    'join': null,		/* see joinState() */
+	    'hedged': false,		/* resource has been hedged */
+	    'hedge': null,		/* second copy (see hedgeStart()) */
+	    'sources': null,		/* alternative sources */
+	    'source': 0,		/* index of current source */
+	    'nfailovers': 0,		/* times we fell over to a source */
+	    'errors': []		/* errors from each source */
+	};
+	if (Array.isArray(func)) {
+		mod_assert.ok(func.length > 0, 'no sources for resource');
+		rq['sources'] = func.map(function (source) {
+			if (typeof (source) == 'function')
+				return ({ 'func': source, 'resumable': true });
+			mod_assert.equal(typeof (source['func']), 'function',
+			    'each source must be a function or have "func"');
+			return ({
+			    'func': source['func'],
+			    'resumable': source['resumable'] !== false
+			});
+		});
+		rq['func'] = rq['sources'][0]['func'];
+	}
+	rate = options['maxBytesPerSecond'] || this.cs_rqrate;
+	if (options['transform'] !== undefined) {
+		rq['transform'] = options['transform'];
+		if (typeof (rq['transform']) == 'string') {
+			mod_assert.ok(CS_TRANSFORMS.hasOwnProperty(
+			    rq['transform']), 'unsupported transform: ' +
+			    rq['transform']);
+			rq['transform'] = CS_TRANSFORMS[rq['transform']];
 		}
+		mod_assert.equal(typeof (rq['transform']), 'function',
+		    'transform must be a function or a built-in name');
+		mod_assert.ok(!this.cs_windowed, 'transforms are not ' +
+		    'supported with the "start" and "length" options');
 	}
+	if (rate)
+		rq['bucket'] = new TokenBucket(rate);
+	CS_DIGESTS.forEach(function (algorithm) {
+		if (options[algorithm] === undefined)
+			return;
+		mod_assert.ok(!this.cs_objmode,
+		    'digests are not supported in object mode');
+		rq['hashes'].push({
+		    'algorithm': algorithm,
+		    'expected': options[algorithm],
+		    'hash': mod_crypto.createHash(algorithm)
+		});
+	}, this);
+
+	return (rq);
+};
+
+CatStreams.prototype.rqEnqueue = function (rq)
+{
+	this.cs_log.trace({ 'resource': rq }, 'enqueuing resource');
+	this.cs_queue.push(rq);
+	this.cs_nqueued++;
+
+	if (this.queueDepth() >= this.cs_maxqueued)
+		this.cs_qfull = true;
 };
 
 /*
- * Stop processing requests.  The underlying streams MUST support the 'abort()'
- * method, similar to Node's HTTP request abort().  This object will stop
- * emitting 'data', 'end', 'error', and 'request-drain'.  Resources will be
- * automatically cleaned up.
+ * Returns whether maxQueued resources are waiting to be started, in which case
+ * callers should wait for 'queue-drain' before calling cat() again.
  */
-CatStreams.prototype.abort = function ()
+CatStreams.prototype.queueFull = function ()
 {
-	this.cs_log.info({
-	    'nready': this.cs_ready.length,
-	    'ended': this.cs_ended,
-	    'aborted': this.cs_aborted
-	}, 'abort');
+	return (this.cs_qfull);
+};
 
-	if (this.cs_aborted)
-		return;
+/*
+ * Returns the number of resources that have been passed to cat() but not yet
+ * started.
+ */
+CatStreams.prototype.queueDepth = function ()
+{
+	return (this.cs_nqueued - this.cs_nstarted - this.cs_nqdropped +
+	    this.cs_budgetwait.length);
+};
 
-	this.cs_aborted = true;
-	this.cs_queue.kill();
-	if (this.cs_ready.length === 0)
+/*
+ * Invoked when resources are started to emit 'queue-drain' if cat() returned a
+ * handle with "full" set and there's now room for more resources.
+ */
+CatStreams.prototype.queueCheck = function ()
+{
+	if (!this.cs_qfull || this.queueDepth() >= this.cs_maxqueued)
 		return;
 
-	/*
-	 * The first element in "cs_ready" is piped to ourselves.  Unpipe it
-	 * now.  We know that it hasn't reached it's 'end' yet, since that would
-	 * cause it to be removed from the queue.  Abort all of the streams.
-	 */
-	this.cs_ready[0].stream.unpipe();
+	this.cs_qfull = false;
+	this.emit('queue-drain');
+};
+
+/*
+ * Returns an object describing the progress of this stream:
+ *
+ *    queued		number of resources not yet started
+ *
+ *    started		number of resources started so far
+ *
+ *    buffered		number of started resources waiting behind the one
+ *    			currently being emitted
+ *
+ *    done		number of resources completely emitted
+ *
+ *    failed		number of resources that failed
+ *
+ *    cancelled		number of resources that were cancelled
+ *
+ *    skipped		number of resources skipped because they were outside
+ *    			the window given by "start" and "length"
+ *
+ *    bytesEmitted	total number of bytes emitted
+ *
+ *    bytesBuffered	number of bytes currently buffered in the underlying
+ *    			streams
+ *
+ *    bytesSpilled	number of bytes currently stored in spill files (see
+ *    			spillDirectory)
+ *
+ *    throughput	average number of bytes emitted per second since the
+ *    			first resource was started
+ *
+ *    concurrency	current limit on the number of resources outstanding
+ *
+ *    hedged		number of resources hedged (see "hedge")
+ *
+ *    hedgesWon		number of hedged resources for which the second copy
+ *    			won
+ */
+CatStreams.prototype.stats = function ()
+{
+	var nbuffered, buffered, elapsed;
+
+	nbuffered = 0;
+	buffered = 0;
 	this.cs_ready.forEach(function (rq, i) {
-		if (!rq.ended) {
-			rq.stream.abort();
-		}
+		if (rq['stream'] === null)
+			return;
+
+		if (i > 0)
+			nbuffered++;
+		buffered += streamBuffered(rq['stream']);
+	});
+
+	elapsed = this.cs_tstart === 0 ? 0 : Date.now() - this.cs_tstart;
+
+	return ({
+	    'queued': this.queueDepth(),
+	    'started': this.cs_nstarted - this.cs_budgetwait.length,
+	    'buffered': nbuffered,
+	    'done': this.cs_ndone,
+	    'failed': this.cs_nfailed,
+	    'cancelled': this.cs_ncancelled,
+	    'skipped': this.cs_nskipped,
+	    'bytesEmitted': this.cs_nbytes,
+	    'bytesBuffered': buffered,
+	    'bytesSpilled': this.cs_nspilled,
+	    'throughput': elapsed === 0 ? 0 :
+		Math.round(this.cs_nbytes * 1000 / elapsed),
+	    'concurrency': this.cs_maxconcurr,
+	    'hedged': this.cs_nhedged,
+	    'hedgesWon': this.cs_nhedgewon
 	});
 };
+
+/*
+ * Append the resource described by "item", which is either a function to pass
+ * to cat() or an object with a "func" property and other options for cat().
+ */
+CatStreams.prototype.catItem = function (item)
+{
+	if (typeof (item) == 'function')
+		return (this.cat(item));
+	return (this.cat(item['func'], item));
+};
+
+/*
+ * Returns a Promise that resolves to the entire contents of the stream (as a
+ * Buffer, or an array of objects in object mode) when the stream ends, or
+ * rejects with the first error emitted or with the reason the stream was
+ * aborted.  This buffers everything in memory, so it's only appropriate for
+ * small outputs.
+ */
+CatStreams.prototype.collect = function ()
+{
+	var s = this;
+
+	return (new Promise(function (resolve, reject) {
+		var chunks = [];
+
+		if (s.cs_aborted) {
+			reject(s.cs_abortreason);
+			return;
+		}
+
+		s.on('data', function (chunk) { chunks.push(chunk); });
+		s.on('error', reject);
+		s.on('abort', reject);
+		s.on('end', function () {
+			if (s.cs_objmode)
+				resolve(chunks);
+			else if (chunks.length > 0 &&
+			    typeof (chunks[0]) == 'string')
+				resolve(chunks.join(''));
+			else
+				resolve(Buffer.concat(chunks));
+		});
+	}));
+};
+
+/*
+ * Like collect(), but only for streams that aren't in object mode.
+ */
+CatStreams.prototype.toBuffer = function ()
+{
+	mod_assert.ok(!this.cs_objmode, 'toBuffer() requires a byte stream');
+	return (this.collect());
+};
+
+/*
+ * Returns an async iterator over the output, as used by "for await".  This is
+ * the usual Readable iterator, except that if the stream is aborted, the
+ * iterator rejects with the reason (see abortIterator()).
+ */
+if (typeof (Symbol) != 'undefined' && Symbol.asyncIterator &&
+    mod_stream.Readable.prototype[Symbol.asyncIterator]) {
+	CatStreams.prototype[Symbol.asyncIterator] = function () {
+		return (abortIterator(this, this));
+	};
+}
+
+/*
+ * Invoked by destroy(), including when a consumer stops reading with "for
+ * await" before the end of the stream.  Stop fetching any resources that are
+ * still outstanding.
+ */
+CatStreams.prototype._destroy = function (err, callback)
+{
+	if (!this.cs_aborted && !this.cs_failed &&
+	    (this.cs_ready.length > 0 || !this.queueIsIdle()))
+		this.abort(err || undefined);
+
+	callback(err);
+};
+
+CatStreams.prototype.queueIsIdle = function ()
+{
+	return (this.cs_queue.length() === 0 && this.cs_queue.npending === 0);
+};
+
+CatStreams.prototype.work = function (rq, callback)
+{
+	/*
+	 * The queue dispatches work asynchronously, so resources may still be
+	 * handed to us after teardown() has killed the queue.  Drop them.
+	 */
+	if (this.cs_aborted || this.cs_failed) {
+		callback();
+		return;
+	}
+
+	/*
+	 * The resource was cancelled or failed before it was started.  It
+	 * still goes through "cs_ready" so that it's finished in order with
+	 * the others, which is where it's recorded in the checkpoint journal.
+	 */
+	if (rq['failed']) {
+		callback();
+		this.cs_ready.push(rq);
+		this.idleCheck();
+		return;
+	}
+
+	this.cs_nstarted++;
+	if (this.cs_tstart === 0)
+		this.cs_tstart = Date.now();
+	this.cs_ready.push(rq);
+	rq['callback'] = callback;
+
+	if (this.cs_budgetwait.length === 0 && this.rqReserve(rq)) {
+		this.rqStart(rq);
+	} else {
+		this.cs_log.trace({ 'index': rq['index'] },
+		    'waiting for buffer budget');
+		this.cs_budgetwait.push(rq);
+	}
+
+	/*
+	 * If this is the only entry on the queue, then it's now the head, and
+	 * we must pipe it to our consumer.  When it finishes emitting, the next
+	 * item in the queue will be piped in the same way.
+	 */
+	if (this.cs_ready.length == 1)
+		this.pipeHead();
+
+	this.queueCheck();
+};
+
+/*
+ * Try to reserve buffer budget for resource "rq", returning whether we did.
+ */
+CatStreams.prototype.rqReserve = function (rq)
+{
+	var hiwat;
+
+	hiwat = Math.min(this.cs_hiwat,
+	    this.cs_maxbuffered - this.cs_nreserved);
+	if (hiwat < this.cs_minhiwat)
+		return (false);
+
+	rq['hiwat'] = hiwat;
+	this.cs_nreserved += hiwat;
+	return (true);
+};
+
+/*
+ * Release the buffer budget reserved by resource "rq" (which has either ended
+ * or failed) and start whichever waiting resources now fit in the budget.
+ * Then release its slot in the work queue.  This may be invoked more than once
+ * for the same resource (e.g., if it fails verification after ending).
+ */
+CatStreams.prototype.rqRelease = function (rq)
+{
+	var next, callback;
+
+	this.cs_nreserved -= rq['hiwat'];
+	rq['hiwat'] = 0;
+
+	while (this.cs_budgetwait.length > 0 &&
+	    this.rqReserve(this.cs_budgetwait[0])) {
+		next = this.cs_budgetwait.shift();
+		this.rqStart(next);
+	}
+	this.queueCheck();
+
+	if (rq['callback'] !== null) {
+		callback = rq['callback'];
+		rq['callback'] = null;
+		callback();
+	}
+};
+
+/*
+ * Create the stream for resource "rq", either for the first time or to retry
+ * after a failure.
+ */
+CatStreams.prototype.rqStart = function (rq)
+{
+	var s = this;
+	var attempt;
+
+	/*
+	 * Until the user's function produces the stream, the resource is in
+	 * the "setup" state.  It continues to occupy a slot in the work queue,
+	 * and the firstByte timeout applies.  If the attempt is abandoned
+	 * before then (e.g., because it timed out or we were aborted), the
+	 * stream is aborted as soon as we get it.
+	 */
+	rq['nattempts']++;
+	rq['tstart'] = Date.now();
+	rq['tfirst'] = 0;
+	rq['sbytes'] = rq['nbytes'];
+	if (rq['transform'] !== null)
+		rq['discard'] = rq['nbytes'];
+	if (rq['tbegin'] === 0)
+		rq['tbegin'] = rq['tstart'];
+	rq['setup'] = true;
+	attempt = rq['nattempts'];
+	this.rqTimerStart(rq, 'firstByte');
+	this.emit('resource-start', this.rqInfo(rq));
+	this.rqInvoke(rq, function (err, stream) {
+		s.rqSetup(rq, attempt, err, stream);
+	});
+};
+
+/*
+ * Invoke the user's function for resource "rq" to create a stream, passing
+ * through the configured buffer size and the offset at which to resume, and
+ * invoke "done" with the error or stream it produces.  The function may
+ * return the stream, return a Promise for it, or (if it takes a second
+ * argument) invoke a callback with it.
+ */
+CatStreams.prototype.rqInvoke = function (rq, done)
+{
+	var sync, called, result, rv, callback;
+
+	/*
+	 * Callback-style functions may invoke the callback synchronously.  We
+	 * defer processing until the function returns so that exceptions from
+	 * our own code aren't mistaken for failures of the user's function.
+	 */
+	sync = true;
+	called = false;
+	result = null;
+	callback = function (err, stream) {
+		if (called)
+			return;
+
+		called = true;
+		if (sync)
+			result = { 'err': err, 'stream': stream };
+		else
+			done(err, stream);
+	};
+
+	try {
+		if (rq['func'].length >= 2)
+			rv = rq['func'](this.rqFuncOptions(rq), callback);
+		else
+			rv = rq['func'](this.rqFuncOptions(rq));
+	} catch (ex) {
+		if (called)
+			throw (ex);
+		callback(ex);
+	}
+	sync = false;
+
+	if (result !== null) {
+		done(result['err'], result['stream']);
+	} else if (rq['func'].length < 2) {
+		if (rv && typeof (rv.then) == 'function') {
+			/*
+			 * Process the result outside of the Promise machinery
+			 * so that exceptions thrown by our consumer aren't
+			 * swallowed as unhandled rejections.
+			 */
+			rv.then(function (stream) {
+				process.nextTick(function () {
+					callback(null, stream);
+				});
+			}, function (err) {
+				process.nextTick(function () {
+					callback(err || new Error(
+					    'stream function rejected'));
+				});
+			});
+		} else {
+			callback(null, rv);
+		}
+	}
+};
+
+/*
+ * Returns the options to pass to the user's function for resource "rq".
+ */
+CatStreams.prototype.rqFuncOptions = function (rq)
+{
+	var options = {
+	    'highWaterMark': rq['hiwat'],
+	    'offset': rq['transform'] !== null ? 0 : rq['nbytes']
+	};
+
+	if (rq['range'] !== null) {
+		options['start'] = rq['range']['start'] + rq['nbytes'];
+		options['end'] = rq['range']['end'];
+	}
+
+	return (options);
+};
+
+/*
+ * The user's function for attempt "attempt" of resource "rq" has finished
+ * setting up, producing either an error or a stream.
+ */
+CatStreams.prototype.rqSetup = function (rq, attempt, err, stream)
+{
+	if (!rq['setup'] || rq['nattempts'] != attempt) {
+		/* This attempt has been abandoned. */
+		if (!err && stream)
+			abortStream(stream);
+		return;
+	}
+
+	rq['setup'] = false;
+	if (!err) {
+		try {
+			stream = this.rqWrap(rq, stream);
+		} catch (ex) {
+			err = ex;
+		}
+	}
+
+	if (err) {
+		this.rqError(rq, err);
+		return;
+	}
+
+	/*
+	 * On "end", release the resource's slot in the work queue so it can
+	 * dispatch more work.  Then issue a read(0) to start reading without
+	 * consuming any bytes.
+	 *
+	 * For non-empty objects, the stream won't emit "end" until this request
+	 * reaches the head of the queue, which is when we start piping its
+	 * data out.  However, empty objects (i.e., zero-byte streams) will emit
+	 * "end" any time after we invoke read(0), since we will have consumed
+	 * all of the data.  For that reason, we have to set rq['ended'] in our
+	 * "end" handler and check for this case when we're ready to pipe this
+	 * stream.
+	 */
+	this.rqAttach(rq, stream);
+};
+
+/*
+ * Returns the stream to use for resource "rq" given "stream", as produced by
+ * the user's function: either "stream" itself or, if the resource has a
+ * transform, the output of that.  Throws if "stream" isn't a stream or the
+ * transform can't be set up.
+ */
+CatStreams.prototype.rqWrap = function (rq, stream)
+{
+	if (!stream || typeof (stream.read) != 'function')
+		throw (new Error('stream function did not produce a stream'));
+
+	if (rq['transform'] === null)
+		return (stream);
+
+	try {
+		return (this.rqTransform(rq, stream));
+	} catch (ex) {
+		abortStream(stream);
+		throw (ex);
+	}
+};
+
+/*
+ * Returns the stream that passes "source", the stream for resource "rq",
+ * through the resource's transform.  Errors from "source" are emitted by the
+ * returned stream, and aborting the returned stream aborts "source".
+ */
+CatStreams.prototype.rqTransform = function (rq, source)
+{
+	var info, stream, done, cleanup;
+
+	info = this.rqInfo(rq);
+	info['highWaterMark'] = rq['hiwat'];
+	stream = rq['transform'](info);
+	if (!stream || typeof (stream.read) != 'function')
+		throw (new Error(
+		    'transform function did not produce a stream'));
+
+	/*
+	 * Before Node 14, a stream that emits 'error' isn't destroyed, so it
+	 * doesn't necessarily emit 'close', and we have to watch for both.
+	 */
+	done = false;
+	cleanup = function () {
+		if (!done) {
+			done = true;
+			abortStream(source);
+		}
+	};
+	source.once('end', function () { done = true; });
+	source.on('error', function (err) { stream.destroy(err); });
+	stream.on('error', cleanup);
+	stream.on('close', cleanup);
+	source.pipe(stream);
+	return (stream);
+};
+
+/*
+ * Make "stream" the current stream for resource "rq" (see rqSetup()), and
+ * start emitting it if the resource is at the head of the queue.  The stream
+ * that replays a spilled resource (see rqReplay()) is attached the same way,
+ * but since it's not a new attempt, it doesn't count as a first byte again.
+ */
+CatStreams.prototype.rqAttach = function (rq, stream)
+{
+	var s = this;
+
+	/*
+	 * teardown() leaves "rq['stream']" set, and events that were already
+	 * queued when we were aborted or failed may still be delivered, so
+	 * check for that too.
+	 */
+	rq['stream'] = stream;
+	stream.on('end', function () {
+		if (rq['stream'] !== stream || s.cs_aborted || s.cs_failed)
+			return;
+
+		s.rqTimerClear(rq);
+		rq['ended'] = true;
+		s.rqRelease(rq);
+
+		if (rq['piping'])
+			s.rqFini(rq);
+		else
+			s.headCheck();
+	});
+	if (rq['tfirst'] === 0) {
+		stream.once('readable', function () {
+			if (rq['stream'] === stream && !s.cs_aborted &&
+			    !s.cs_failed)
+				s.rqFirstByte(rq);
+		});
+	}
+	stream.read(0);
+	stream.on('error', function (err2) {
+		if (rq['stream'] === stream && !s.cs_aborted && !s.cs_failed)
+			s.rqError(rq, err2);
+	});
+
+	if (this.cs_ready[0] === rq)
+		this.pipeHead();
+};
+
+/*
+ * The current stream for resource "rq" has data available for the first time
+ * (or has reached end-of-stream without any data).
+ */
+CatStreams.prototype.rqFirstByte = function (rq)
+{
+	rq['tfirst'] = Date.now();
+	/* Only adaptTick() consumes (and clears) these samples. */
+	if (this.cs_adaptive !== null)
+		this.cs_acttfbs.push(rq['tfirst'] - rq['tstart']);
+	this.rqTimerClear(rq, 'firstByte');
+	this.hedgeLost(rq);
+	this.emit('resource-first-byte', this.rqInfo(rq));
+	this.headCheck();
+
+	/*
+	 * In unordered mode, headCheck() may have emitted this resource, and
+	 * our consumer may have aborted us (or we may have failed) as a result.
+	 * Nothing would remove a spill file created now.
+	 */
+	if (this.cs_spilldir !== null && !this.cs_aborted && !this.cs_failed &&
+	    rq['stream'] !== null && !rq['piping'] && !rq['ended'] &&
+	    rq['spill'] === null)
+		this.rqSpill(rq);
+};
+
+/*
+ * Start copying the data for resource "rq", which is waiting behind the head
+ * of the queue, into a file in the spill directory so that its stream can run
+ * to completion (releasing its buffer budget and work queue slot) rather than
+ * stalling once its buffer fills.  See the IMPLEMENTATION NOTES above.
+ */
+CatStreams.prototype.rqSpill = function (rq)
+{
+	var s = this;
+	var path, sp;
+
+	path = mod_path.join(this.cs_spilldir, mod_util.format(
+	    'catstreams-%d-%s-%d', process.pid,
+	    mod_crypto.randomBytes(6).toString('hex'), rq['index']));
+	sp = {
+	    'path': path,		/* spill file (null once removed) */
+	    'live': rq['stream'],	/* resource's own stream */
+	    'ended': false,		/* "live" has ended */
+	    'wstream': mod_fs.createWriteStream(path, { 'flags': 'wx' }),
+	    'wclosed': false,		/* "wstream" has been closed */
+	    'rstream': null,		/* replaying "path" */
+	    'blocked': false,		/* waiting for "wstream" to drain */
+	    'replaying': false,		/* resource has reached the head */
+	    'nbytes': 0,		/* bytes written to "path" */
+	    'prepaid': 0,		/* replay bytes already rate limited */
+	    'ratetimer': null,		/* waiting for rate limit */
+	    'onreadable': null
+	};
+
+	this.cs_log.debug({
+	    'index': rq['index'],
+	    'path': path
+	}, 'spilling resource');
+
+	rq['spill'] = sp;
+	sp['live'].once('end', function () { sp['ended'] = true; });
+	sp['wstream'].on('close', function () {
+		sp['wclosed'] = true;
+	});
+	sp['wstream'].on('error', function (err) {
+		if (rq['spill'] === sp)
+			s.rqError(rq, new VError(err, 'spilling resource'));
+	});
+	sp['onreadable'] = function () { s.rqSpillFlow(rq, sp); };
+	sp['live'].on('readable', sp['onreadable']);
+	this.rqSpillFlow(rq, sp);
+};
+
+/*
+ * Copy whatever data is available from the stream for resource "rq" into its
+ * spill file, stopping when the file applies backpressure or when reading more
+ * would exceed a rate limit.
+ */
+CatStreams.prototype.rqSpillFlow = function (rq, sp)
+{
+	var s = this;
+	var chunk, delay;
+
+	while (rq['spill'] === sp && !sp['replaying'] && !sp['blocked'] &&
+	    sp['ratetimer'] === null) {
+		delay = this.rateDelay(rq);
+		if (delay > 0) {
+			sp['ratetimer'] = setTimeout(function () {
+				sp['ratetimer'] = null;
+				s.rqSpillFlow(rq, sp);
+			}, delay);
+			break;
+		}
+
+		chunk = sp['live'].read();
+		if (chunk === null)
+			break;
+
+		sp['nbytes'] += chunk.length;
+		this.cs_nspilled += chunk.length;
+		this.rateTake(rq, chunk.length);
+		sp['prepaid'] += chunk.length;
+		if (!sp['wstream'].write(chunk)) {
+			sp['blocked'] = true;
+			sp['wstream'].once('drain', function () {
+				sp['blocked'] = false;
+				s.rqSpillFlow(rq, sp);
+			});
+		}
+	}
+};
+
+/*
+ * Spilled resource "rq" has reached the head of the queue.  Stop spilling,
+ * wait for the data already spilled to be written out, and then replace the
+ * resource's stream with one that emits the spilled data followed by whatever
+ * remains of the original stream.
+ */
+CatStreams.prototype.rqReplay = function (rq)
+{
+	var s = this;
+	var sp = rq['spill'];
+
+	if (sp['replaying'])
+		return;
+
+	sp['replaying'] = true;
+	sp['live'].removeListener('readable', sp['onreadable']);
+	spillTimerClear(sp);
+	sp['wstream'].once('finish', function () {
+		if (rq['spill'] === sp)
+			s.rqReplayStart(rq, sp);
+	});
+	sp['wstream'].end();
+};
+
+/*
+ * The spill file for resource "rq" has been written out.  Attach the stream
+ * that replays it.
+ */
+CatStreams.prototype.rqReplayStart = function (rq, sp)
+{
+	var s = this;
+	var stream, live;
+
+	stream = new mod_stream.PassThrough({ 'highWaterMark': this.cs_hiwat });
+	live = sp['live'];
+	sp['rstream'] = mod_fs.createReadStream(sp['path']);
+	sp['rstream'].on('error', function (err) {
+		if (rq['spill'] === sp)
+			stream.destroy(new VError(err, 'replaying resource'));
+	});
+	sp['rstream'].on('end', function () {
+		if (rq['spill'] !== sp)
+			return;
+
+		s.spillUnlink(sp);
+		if (sp['ended'])
+			stream.end();
+		else
+			live.pipe(stream);
+	});
+	sp['rstream'].pipe(stream, { 'end': false });
+
+	/*
+	 * The original stream's own handlers ignore it once it's no longer the
+	 * resource's current stream, so forward its errors to the new one.
+	 */
+	live.on('error', function (err) {
+		if (rq['spill'] === sp)
+			stream.destroy(err);
+	});
+
+	rq['ended'] = false;
+	this.rqAttach(rq, stream);
+};
+
+/*
+ * Stop spilling or replaying resource "rq", if it was, aborting its original
+ * stream and removing its spill file.
+ */
+CatStreams.prototype.rqSpillClean = function (rq)
+{
+	var s = this;
+	var sp = rq['spill'];
+
+	if (sp === null)
+		return;
+
+	rq['spill'] = null;
+	sp['live'].removeListener('readable', sp['onreadable']);
+	sp['live'].on('error', function () {});
+	spillTimerClear(sp);
+	if (!sp['ended'])
+		abortStream(sp['live']);
+	if (sp['rstream'] !== null)
+		sp['rstream'].destroy();
+
+	/*
+	 * The file may not have been created yet, so wait for the write stream
+	 * to be closed before removing it.
+	 */
+	if (sp['wclosed']) {
+		this.spillUnlink(sp);
+	} else {
+		sp['wstream'].once('close', function () { s.spillUnlink(sp); });
+		sp['wstream'].destroy();
+	}
+};
+
+/*
+ * Remove the spill file described by "sp", if it hasn't been removed already.
+ */
+CatStreams.prototype.spillUnlink = function (sp)
+{
+	var log = this.cs_log;
+	var path = sp['path'];
+
+	if (path === null)
+		return;
+
+	sp['path'] = null;
+	this.cs_nspilled -= sp['nbytes'];
+	mod_fs.unlink(path, function (err) {
+		if (err)
+			log.warn(err, 'failed to remove spill file "%s"', path);
+	});
+};
+
+/*
+ * Returns the object describing resource "rq" that's emitted with
+ * per-resource events.  See the comment at the top of this file.
+ */
+CatStreams.prototype.rqInfo = function (rq)
+{
+	var now = Date.now();
+
+	return ({
+	    'index': rq['index'],
+	    'attempts': rq['nattempts'],
+	    'nbytes': rqBytes(rq),
+	    'started': rq['tbegin'],
+	    'ttfb': rq['tfirst'] === 0 ? null : rq['tfirst'] - rq['tstart'],
+	    'elapsed': now - rq['tbegin'],
+	    'metadata': rq['metadata'],
+	    'source': rq['source']
+	});
+};
+
+/*
+ * Start (or restart) the timeout called "name" for resource "rq", if that
+ * timeout has been configured.
+ */
+CatStreams.prototype.rqTimerStart = function (rq, name)
+{
+	var s = this;
+	var ms = this.cs_timeouts[name];
+
+	if (ms === 0)
+		return;
+
+	this.rqTimerClear(rq, name);
+	rq['timers'][name] = setTimeout(function () {
+		delete (rq['timers'][name]);
+		s.rqTimeout(rq, name);
+	}, ms);
+};
+
+/*
+ * Clear the timeout called "name" for resource "rq", or all of its timeouts
+ * if "name" is not specified.
+ */
+CatStreams.prototype.rqTimerClear = function (rq, name)
+{
+	var k;
+
+	for (k in rq['timers']) {
+		if (name === undefined || k == name) {
+			clearTimeout(rq['timers'][k]);
+			delete (rq['timers'][k]);
+		}
+	}
+};
+
+/*
+ * The timeout called "name" for resource "rq" has fired.  Abort the current
+ * stream and handle it like any other failure.
+ */
+CatStreams.prototype.rqTimeout = function (rq, name)
+{
+	var stream = rq['stream'];
+	var err = new VError({
+	    'name': 'TimeoutError',
+	    'info': {
+		'timer': name,
+		'timeout': this.cs_timeouts[name]
+	    }
+	}, '%s timeout (%dms) expired', name, this.cs_timeouts[name]);
+
+	this.rqError(rq, err);
+	if (stream !== null)
+		abortStream(stream);
+};
+
+/*
+ * Handle a failure of the current stream for resource "rq".  If the resource
+ * has another source we can use, or the retry policy allows it, create a new
+ * stream that picks up where the failed one left off.  Otherwise, the resource
+ * fails.
+ */
+CatStreams.prototype.rqError = function (rq, err)
+{
+	var s = this;
+	var delay, cause;
+
+	this.rqDetach(rq);
+
+	if (this.cs_aborted || this.cs_failed)
+		return;
+
+	cause = err;
+	if (rq['sources'] !== null) {
+		rq['errors'].push(new VError({
+		    'cause': err,
+		    'info': { 'source': rq['source'] }
+		}, 'source %d', rq['source']));
+		if (this.rqFailover(rq, err))
+			return;
+		cause = rq['errors'].length == 1 ? rq['errors'][0] :
+		    new MultiError(rq['errors']);
+	}
+
+	if (rq['nattempts'] - rq['nfailovers'] > this.cs_retries ||
+	    !this.cs_retryable(err) || !rqSourceUsable(rq, rq['source'])) {
+		this.rqFailed(rq, cause);
+		return;
+	}
+
+	delay = Math.min(this.cs_retrymax,
+	    this.cs_retrymin * Math.pow(2, rq['nattempts'] - 1));
+	this.cs_log.warn({
+	    'err': err,
+	    'index': rq['index'],
+	    'attempt': rq['nattempts'],
+	    'offset': rq['nbytes'],
+	    'delay': delay
+	}, 'retrying resource');
+
+	rq['timer'] = setTimeout(function () {
+		rq['timer'] = null;
+		s.rqStart(rq);
+	}, delay);
+};
+
+/*
+ * The current source for resource "rq" failed with "err".  If there's a later
+ * source that we can use, switch to it, start a new stream from it, and return
+ * true.  Otherwise, return false.
+ */
+CatStreams.prototype.rqFailover = function (rq, err)
+{
+	var s = this;
+	var next;
+
+	for (next = rq['source'] + 1; next < rq['sources'].length; next++) {
+		if (rqSourceUsable(rq, next))
+			break;
+	}
+
+	if (next == rq['sources'].length)
+		return (false);
+
+	this.cs_log.warn({
+	    'err': err,
+	    'index': rq['index'],
+	    'source': rq['source'],
+	    'next': next,
+	    'offset': rq['nbytes']
+	}, 'failing over to another source');
+
+	rq['source'] = next;
+	rq['func'] = rq['sources'][next]['func'];
+	rq['nfailovers']++;
+	rq['timer'] = setTimeout(function () {
+		rq['timer'] = null;
+		s.rqStart(rq);
+	}, 0);
+	return (true);
+};
+
+/*
+ * Resource "rq" has failed for good with error "err".  Apply the configured
+ * error policy.
+ */
+CatStreams.prototype.rqFailed = function (rq, err)
+{
+	var verr = new VError({
+	    'cause': err,
+	    'info': { 'index': rq['index'] }
+	}, 'resource %d', rq['index']);
+
+	this.cs_nfailed++;
+
+	if (this.cs_onerror == 'fail') {
+		this.cs_log.debug(verr, 'resource failed');
+		this.fail(verr);
+		return;
+	}
+
+	this.cs_log.warn(verr, 'skipping failed resource');
+	if (this.cs_onerror == 'collect')
+		this.cs_errors.push(verr);
+
+	/*
+	 * Release this resource's slot in the work queue and remove it from
+	 * the output.  If it's not at the head yet, pipeHead() will skip over
+	 * it when it gets there.
+	 */
+	this.emit('resource-error', verr);
+
+	rq['failed'] = true;
+	this.rqRelease(rq);
+	if (rq['group'] !== null)
+		this.groupDrop(rq['group'], false);
+	this.headSkip();
+};
+
+/*
+ * Stop emitting data from the current stream for resource "rq" and forget about
+ * it.  Any subsequent events from that stream are ignored.
+ */
+CatStreams.prototype.rqDetach = function (rq)
+{
+	var stream = rq['stream'];
+
+	this.rqTimerClear(rq);
+	this.rqSpillClean(rq);
+	this.hedgeLost(rq);
+	rq['setup'] = false;
+	if (stream === null)
+		return;
+
+	if (rq['piping'])
+		stream.removeListener('readable', rq['onreadable']);
+
+	/* Swallow any other errors emitted by the discarded stream. */
+	stream.on('error', function () {});
+	rq['stream'] = null;
+	rq['piping'] = false;
+	rq['ended'] = false;
+};
+
+/*
+ * When "ordered" is false, start emitting the next resource if we're not
+ * emitting one already.  This is invoked whenever a resource becomes ready to
+ * be emitted.  In ordered mode, that only matters for the head of the queue,
+ * which is handled separately.
+ */
+CatStreams.prototype.headCheck = function ()
+{
+	if (!this.cs_ordered && !this.cs_aborted && !this.cs_failed &&
+	    this.cs_ready.length > 0 && !this.cs_ready[0]['piping'])
+		this.pipeHead();
+};
+
+/*
+ * When "ordered" is false, move the first resource that's ready to be emitted
+ * to the front of "cs_ready", returning false if there isn't one.  Resources
+ * that have ended or failed are ready, as are resources whose stream has data
+ * available.  If the resource at the front has already been partially emitted
+ * (and is now being retried), we must finish it before moving on to any
+ * other.  Similarly, once we've started emitting a ranged resource, its next
+ * segment must be emitted next, and other segments can't be emitted first.
+ */
+CatStreams.prototype.pickHead = function ()
+{
+	var i, rq;
+
+	if (this.cs_ready[0]['nbytes'] > 0 ||
+	    (this.cs_ready[0]['spill'] !== null &&
+	    this.cs_ready[0]['spill']['replaying']))
+		return (true);
+
+	if (this.cs_continue !== null && this.cs_continue['failed'])
+		this.cs_continue = null;
+
+	for (i = 0; i < this.cs_ready.length; i++) {
+		rq = this.cs_ready[i];
+		if (this.cs_continue !== null ?
+		    rq['group'] !== this.cs_continue :
+		    rq['group'] !== null && !rq['failed'] &&
+		    rq !== rq['group']['segments'][0])
+			continue;
+
+		if (this.cs_continue !== null || rq['failed'] ||
+		    (rq['stream'] !== null &&
+		    (rq['ended'] || rq['tfirst'] !== 0))) {
+			if (i > 0) {
+				this.cs_ready.splice(i, 1);
+				this.cs_ready.unshift(rq);
+			}
+			return (true);
+		}
+	}
+
+	return (false);
+};
+
+CatStreams.prototype.pipeHead = function ()
+{
+	mod_assert.ok(this.cs_ready.length > 0);
+
+	var s = this;
+	var rq;
+
+	if (this.cs_aborted || this.cs_failed)
+		return;
+
+	if (!this.cs_ordered && !this.pickHead())
+		return;
+
+	rq = this.cs_ready[0];
+	this.hedgeArm(rq);
+	if (rq['piping'])
+		return;
+
+	if (rq['failed']) {
+		/* The resource failed and is being skipped. */
+		this.rqFini(rq);
+		return;
+	}
+
+	if (rq['stream'] === null) {
+		/*
+		 * The resource is waiting to be retried, for buffer budget, or
+		 * for the user's function to produce a stream.  It will be
+		 * piped when the new stream is created.
+		 */
+		return;
+	}
+
+	if (rq['spill'] !== null && rq['stream'] === rq['spill']['live']) {
+		/*
+		 * The resource was spilled.  It will be piped when the stream
+		 * that replays it is attached.
+		 */
+		this.rqReplay(rq);
+		return;
+	}
+
+	if (rq['ended']) {
+		/*
+		 * "end" was already emitted.  This must have been a zero-byte
+		 * object.  See the comment in rqStart() above.
+		 */
+		this.rqFini(rq);
+	} else {
+		rq['piping'] = true;
+		this.rqTimerStart(rq, 'total');
+		rq['onreadable'] = function () { s.rqFlow(rq); };
+		rq['stream'].on('readable', rq['onreadable']);
+		this.rqFlow(rq);
+	}
+};
+
+/*
+ * Emit as much data as we can from the head resource "rq", stopping when
+ * either the resource has no more data buffered or our consumer is applying
+ * backpressure.  This is essentially what pipe() does, except that we keep
+ * track of how many bytes we've emitted so that failed resources can be
+ * resumed at the right offset.
+ */
+CatStreams.prototype.rqFlow = function (rq)
+{
+	var chunk;
+
+	while (rq['piping'] && !this.cs_blocked) {
+		if (this.cs_ratetimer !== null || this.rateWait(rq))
+			break;
+
+		chunk = rq['stream'].read();
+		if (chunk === null)
+			break;
+
+		if (rq['discard'] > 0) {
+			/* Skip data already emitted before a retry. */
+			if (this.cs_objmode) {
+				rq['discard']--;
+				continue;
+			}
+			if (chunk.length <= rq['discard']) {
+				rq['discard'] -= chunk.length;
+				continue;
+			}
+			chunk = chunk.slice(rq['discard']);
+			rq['discard'] = 0;
+		}
+
+		if (rq['size'] !== undefined && rq['nbytes'] +
+		    (this.cs_objmode ? 1 : chunk.length) > rq['size']) {
+			this.rqOversize(rq);
+			break;
+		}
+
+		if (!rq['begun'])
+			this.rqBegin(rq);
+
+		rq['hashes'].forEach(function (h) { h.hash.update(chunk); });
+
+		if (!this.cs_objmode && chunk.length > 0)
+			rq['lastbyte'] = chunk[chunk.length - 1];
+
+		rq['nbytes'] += this.cs_objmode ? 1 : chunk.length;
+		if (rq['group'] !== null)
+			rq['group']['nbytes'] += chunk.length;
+		this.rateTake(rq, this.cs_objmode ? 1 : chunk.length);
+
+		if (this.cs_join !== null) {
+			chunk = this.joinData(rq, chunk);
+			if (chunk instanceof Error) {
+				this.rqMalformed(rq, chunk);
+				break;
+			}
+			if (chunk.length === 0)
+				continue;
+		}
+
+		this.cs_nbytes += this.cs_objmode ? 1 : chunk.length;
+		if (!this.cs_ordered && this.cs_objmode)
+			chunk = { 'index': rq['index'], 'chunk': chunk };
+		if (!this.write(chunk)) {
+			this.cs_blocked = true;
+			this.cs_acblocked = true;
+		}
+	}
+
+	/*
+	 * The idle timer only runs while we're waiting for data from the
+	 * stream, not while we're waiting for our consumer or a rate limit.
+	 */
+	if (!rq['piping'])
+		return;
+	if (this.cs_blocked || this.cs_ratetimer !== null)
+		this.rqTimerClear(rq, 'idle');
+	else
+		this.rqTimerStart(rq, 'idle');
+};
+
+/*
+ * If reading more data from resource "rq" now would exceed a rate limit,
+ * schedule rqFlow() to be invoked again when it won't and return true.
+ * Otherwise, return false.
+ */
+CatStreams.prototype.rateWait = function (rq)
+{
+	var s = this;
+	var delay;
+
+	/* Replayed data was already rate limited when it was spilled. */
+	if (rq['spill'] !== null && rq['spill']['prepaid'] > 0)
+		return (false);
+
+	delay = this.rateDelay(rq);
+	if (delay === 0)
+		return (false);
+
+	/* Like backpressure, this counts as being limited by our consumer. */
+	this.cs_acblocked = true;
+	this.cs_ratetimer = setTimeout(function () {
+		s.cs_ratetimer = null;
+		if (s.cs_ready.length > 0 && s.cs_ready[0]['piping'])
+			s.rqFlow(s.cs_ready[0]);
+	}, delay);
+	return (true);
+};
+
+/*
+ * Returns how long (in milliseconds) to wait before reading more data from
+ * resource "rq" to stay within the rate limits.
+ */
+CatStreams.prototype.rateDelay = function (rq)
+{
+	return (Math.max(this.cs_bucket === null ? 0 : this.cs_bucket.wait(),
+	    rq['bucket'] === null ? 0 : rq['bucket'].wait()));
+};
+
+/*
+ * Account for "count" bytes having been read from resource "rq".  Bytes being
+ * replayed from a spill file were already counted when they were spilled.
+ */
+CatStreams.prototype.rateTake = function (rq, count)
+{
+	var sp = rq['spill'];
+	var prepaid;
+
+	if (sp !== null && sp['replaying'] && sp['prepaid'] > 0) {
+		prepaid = Math.min(count, sp['prepaid']);
+		sp['prepaid'] -= prepaid;
+		count -= prepaid;
+	}
+
+	if (this.cs_bucket !== null)
+		this.cs_bucket.take(count);
+	if (rq['bucket'] !== null)
+		rq['bucket'].take(count);
+};
+
+/*
+ * Resource "rq" has more data than the caller said it would.  Fail it without
+ * emitting the extra data.
+ */
+CatStreams.prototype.rqOversize = function (rq)
+{
+	var stream = rq['stream'];
+
+	this.rqDetach(rq);
+	abortStream(stream);
+	this.rqFailed(rq, new VError({
+	    'name': 'IntegrityError',
+	    'info': { 'expected': rq['size'] }
+	}, 'size mismatch (expected %d bytes, got more)', rq['size']));
+};
+
+/*
+ * The data for resource "rq" doesn't have the format required by the "join"
+ * option, as described by "err".  Fail it without emitting any more.
+ */
+CatStreams.prototype.rqMalformed = function (rq, err)
+{
+	var stream = rq['stream'];
+
+	this.rqDetach(rq);
+	abortStream(stream);
+	this.rqFailed(rq, err);
+};
+
+/*
+ * Load the checkpoint journal to resume a previous run whose output has been
+ * preserved up to "size" bytes.  Every resource recorded as finished at or
+ * before that offset will be skipped, and the journal is rewritten to contain
+ * only those, since anything after them will be emitted again.  See the
+ * "checkpoint" option above.
+ */
+CatStreams.prototype.checkpointLoad = function (size)
+{
+	var entries, keep, i;
+
+	entries = size > 0 ? this.cs_checkpoint.load() : [];
+	keep = [];
+	this.cs_ckdone = {};
+	for (i = 0; i < entries.length && entries[i]['offset'] <= size; i++) {
+		keep.push(entries[i]);
+		this.cs_ckdone[entries[i]['index']] = true;
+		this.cs_ckbase = entries[i]['offset'];
+	}
+
+	this.cs_checkpoint.reset(keep);
+	this.cs_log.debug({
+	    'resumeFrom': size,
+	    'offset': this.cs_ckbase,
+	    'nskipped': keep.length
+	}, 'loaded checkpoint');
+
+	/*
+	 * The output we're resuming already has data, so whatever goes between
+	 * resources has to be emitted before the next one.
+	 */
+	if (this.cs_ckbase > 0) {
+		this.cs_nemitted = 1;
+		this.cs_joinstarted = true;
+	}
+};
+
+/*
+ * Returns whether the resource at "index" was already emitted according to
+ * the checkpoint we resumed from.
+ */
+CatStreams.prototype.checkpointDone = function (index)
+{
+	return (this.cs_ckdone !== null &&
+	    this.cs_ckdone.hasOwnProperty(index));
+};
+
+/*
+ * Record in the checkpoint journal that resource "rq" is finished, along with
+ * the offset in the output where it ends.  Returns false (after failing the
+ * stream) if that fails.
+ */
+CatStreams.prototype.checkpointRecord = function (rq)
+{
+	try {
+		this.cs_checkpoint.record({
+		    'index': rq['index'],
+		    'offset': this.cs_ckbase + this.cs_nbytes
+		});
+	} catch (ex) {
+		this.fail(new VError(ex, 'recording checkpoint'));
+		return (false);
+	}
+
+	return (true);
+};
+
+/*
+ * Returns the offset in the output at which this stream's data starts.  This
+ * is zero unless we resumed from a checkpoint, in which case the caller must
+ * discard any output it has after this offset before appending this stream's
+ * data to it.
+ */
+CatStreams.prototype.resumeOffset = function ()
+{
+	return (this.cs_ckbase);
+};
+
+/*
+ * Returns the state used by the "join" option for resource "rq", which is
+ * shared by all segments of a ranged resource.  "drop" is whether we're still
+ * skipping a CSV header, "state" is where we are in a JSON array ("start",
+ * "open", "body", or "closed"), "tail" is data held back from the end of a
+ * JSON array's body, and "nout" and "last" describe what's been emitted.
+ */
+CatStreams.prototype.joinState = function (rq)
+{
+	var owner = rq['group'] !== null ? rq['group'] : rq;
+
+	if (owner['join'] === null) {
+		owner['join'] = {
+		    'drop': this.cs_join == 'csv' && this.cs_joinstarted,
+		    'state': 'start',
+		    'tail': null,
+		    'nout': 0,
+		    'last': null
+		};
+	}
+
+	return (owner['join']);
+};
+
+/*
+ * Returns the part of "chunk", which was just read from resource "rq", to emit
+ * according to the "join" option, or an Error if the data isn't in the
+ * expected format.
+ */
+CatStreams.prototype.joinData = function (rq, chunk)
+{
+	var js, i, c, prefix, out, hold;
+
+	js = this.joinState(rq);
+	if (js['drop']) {
+		i = chunk.indexOf(0x0a);
+		if (i == -1)
+			return (chunk.slice(chunk.length));
+		js['drop'] = false;
+		chunk = chunk.slice(i + 1);
+	}
+
+	if (this.cs_join != 'json-array') {
+		if (chunk.length > 0) {
+			this.cs_joinstarted = true;
+			js['nout'] += chunk.length;
+			js['last'] = chunk[chunk.length - 1];
+		}
+		return (chunk);
+	}
+
+	/*
+	 * Skip the opening bracket of the array (and the whole array, if it's
+	 * empty), and hold back any closing brackets and whitespace at the end
+	 * of what we've seen so far, since one of those brackets may end the
+	 * array.  Elements from different resources are separated by commas.
+	 */
+	prefix = '';
+	for (i = 0; i < chunk.length && js['state'] != 'body'; i++) {
+		c = chunk[i];
+		if (jsonSpace(c))
+			continue;
+
+		if (js['state'] == 'start' && c == 0x5b /* [ */) {
+			js['state'] = 'open';
+		} else if (js['state'] == 'open' && c == 0x5d /* ] */) {
+			js['state'] = 'closed';
+		} else if (js['state'] == 'open') {
+			js['state'] = 'body';
+			prefix = this.cs_joinstarted ? ',' : '[';
+			this.cs_joinstarted = true;
+			i--;
+		} else {
+			return (new VError({ 'name': 'FormatError' },
+			    'expected a JSON array (found "%s" at offset %d)',
+			    String.fromCharCode(c),
+			    rq['nbytes'] - chunk.length + i));
+		}
+	}
+
+	if (js['state'] != 'body')
+		return (chunk.slice(chunk.length));
+
+	out = chunk.slice(i);
+	if (js['tail'] !== null) {
+		out = Buffer.concat([ js['tail'], out ]);
+		js['tail'] = null;
+	}
+
+	for (hold = out.length; hold > 0; hold--) {
+		c = out[hold - 1];
+		if (c != 0x5d && !jsonSpace(c))
+			break;
+	}
+	if (hold < out.length) {
+		js['tail'] = out.slice(hold);
+		out = out.slice(0, hold);
+	}
+
+	if (prefix.length > 0)
+		out = Buffer.concat([ Buffer.from(prefix), out ]);
+	return (out);
+};
+
+/*
+ * Resource "rq" has been completely read.  Emit whatever the "join" option
+ * calls for at the end of it, returning an Error if its data was incomplete.
+ */
+CatStreams.prototype.joinEnd = function (rq)
+{
+	var js, i;
+
+	js = this.joinState(rq);
+	if (this.cs_join != 'json-array') {
+		if (js['nout'] > 0 && js['last'] != 0x0a)
+			this.emitExtra('\n');
+		return (null);
+	}
+
+	if (js['state'] == 'open' || (js['state'] == 'body' &&
+	    (js['tail'] === null ||
+	    (i = js['tail'].lastIndexOf(0x5d)) == -1))) {
+		return (new VError({ 'name': 'FormatError' },
+		    'expected a JSON array (data does not end with "]")'));
+	}
+
+	if (js['state'] == 'body' && i > 0)
+		this.emitExtra(js['tail'].slice(0, i));
+	js['tail'] = null;
+	return (null);
+};
+
+/*
+ * Resource "rq" has been completely emitted.  Check its size and digests, if
+ * the caller gave us any, and return an error describing the first mismatch
+ * (or null if everything matched).
+ */
+CatStreams.prototype.rqVerify = function (rq)
+{
+	var i, h, actual;
+
+	if (rq['size'] !== undefined && rq['nbytes'] != rq['size']) {
+		return (new VError({
+		    'name': 'IntegrityError',
+		    'info': { 'expected': rq['size'], 'actual': rq['nbytes'] }
+		}, 'size mismatch (expected %d bytes, got %d)',
+		    rq['size'], rq['nbytes']));
+	}
+
+	/* The digests of a ranged resource cover all of its segments. */
+	if (!rqIsLast(rq))
+		return (null);
+
+	for (i = 0; i < rq['hashes'].length; i++) {
+		h = rq['hashes'][i];
+		actual = h.hash.digest();
+		if (actual.toString('hex') == h.expected.toLowerCase() ||
+		    actual.toString('base64') == h.expected)
+			continue;
+
+		return (new VError({
+		    'name': 'IntegrityError',
+		    'info': {
+			'algorithm': h.algorithm,
+			'expected': h.expected,
+			'actual': actual.toString('base64')
+		    }
+		}, '%s mismatch (expected %s, got %s)', h.algorithm,
+		    h.expected, actual.toString('base64')));
+	}
+
+	return (null);
+};
+
+/*
+ * Emit whatever goes before resource "rq" in the output: a separator (if this
+ * isn't the first resource emitted) and the resource's header.  If the header
+ * has already been computed, it's passed in as "header".
+ */
+CatStreams.prototype.rqBegin = function (rq, header)
+{
+	if (header === undefined && this.cs_header !== null)
+		header = this.cs_header(this.rqInfo(rq));
+
+	rq['begun'] = true;
+	if (this.cs_nemitted++ > 0 && this.cs_separator !== null)
+		this.emitExtra(this.cs_separator);
+	if (header)
+		this.emitExtra(header);
+};
+
+/*
+ * Emit whatever goes after resource "rq", which has been completely emitted:
+ * a newline (if requested and needed) and the resource's footer.
+ */
+CatStreams.prototype.rqClose = function (rq)
+{
+	var info, header, footer;
+
+	info = this.rqInfo(rq);
+	footer = this.cs_footer === null ? null : this.cs_footer(info);
+
+	if (!rq['begun']) {
+		/*
+		 * This resource was empty.  If it has no header or footer
+		 * either, it doesn't appear in the output at all.
+		 */
+		header = this.cs_header === null ? null : this.cs_header(info);
+		if (!header && !footer)
+			return;
+		this.rqBegin(rq, header);
+	} else if (this.cs_ensurenl && rq['lastbyte'] !== 0x0a &&
+	    rq['lastbyte'] !== '\n') {
+		this.emitExtra('\n');
+	}
+
+	if (footer)
+		this.emitExtra(footer);
+};
+
+/*
+ * Emit data that doesn't come from any resource (e.g., a separator).
+ */
+CatStreams.prototype.emitExtra = function (data)
+{
+	this.cs_nbytes += this.cs_objmode ? 1 : data.length;
+	if (!this.write(data)) {
+		this.cs_blocked = true;
+		this.cs_acblocked = true;
+	}
+};
+
+CatStreams.prototype.onDrain = function ()
+{
+	this.cs_blocked = false;
+	if (this.cs_ready.length > 0 && this.cs_ready[0]['piping'])
+		this.rqFlow(this.cs_ready[0]);
+};
+
+CatStreams.prototype.rqFini = function (rq)
+{
+	var err;
+
+	mod_assert.ok(this.cs_ready[0] == rq);
+
+	if (!rq['failed'] && ((err = this.rqVerify(rq)) !== null ||
+	    (this.cs_join !== null && rqIsLast(rq) &&
+	    (err = this.joinEnd(rq)) !== null))) {
+		/* This will invoke us again now that the resource failed. */
+		this.rqFailed(rq, err);
+		return;
+	}
+	if (rq['piping'])
+		rq['stream'].removeListener('readable', rq['onreadable']);
+	rq['piping'] = false;
+	this.rqSpillClean(rq);
+	this.hedgeLost(rq);
+	this.cs_ready.shift();
+
+	if (!rq['failed']) {
+		rq['done'] = true;
+		if (this.cs_hedge !== null)
+			this.hedgeSample(rq);
+		if (rqIsLast(rq)) {
+			this.rqClose(rq);
+			this.cs_ndone++;
+			this.emit('resource-end', this.rqInfo(rq));
+		}
+	}
+
+	if (this.cs_checkpoint !== null && rqIsLast(rq) &&
+	    !this.checkpointRecord(rq))
+		return;
+
+	this.cs_continue = rq['failed'] || rqIsLast(rq) ? null : rq['group'];
+	this.idleCheck();
+};
+
+/*
+ * Invoked when resources have been dropped from the output to skip over the
+ * head if it was one of them.
+ */
+CatStreams.prototype.headSkip = function ()
+{
+	if (this.cs_ready.length > 0 && this.cs_ready[0]['failed'])
+		this.rqFini(this.cs_ready[0]);
+	else
+		this.headCheck();
+};
+
+/*
+ * Invoked after a resource has been removed from the output to start emitting
+ * the next one, or to finish if there are no more.
+ */
+CatStreams.prototype.idleCheck = function ()
+{
+	if (this.cs_ready.length > 0) {
+		this.pipeHead();
+	} else if (this.queueIsIdle()) {
+		if (this.cs_ended) {
+			this.finish();
+		} else if (!this.cs_aborted) {
+			this.emit('request-drain');
+		}
+	}
+};
+
+/*
+ * Returns the state of resource "rq" (see ResourceHandle).
+ */
+CatStreams.prototype.rqState = function (rq)
+{
+	var group = rq['group'];
+
+	if (group !== null) {
+		if (group['cancelled'])
+			return ('cancelled');
+		if (group['failed'])
+			return ('failed');
+		if (group['segments'][group['segments'].length - 1]['done'])
+			return ('done');
+		if (group['nbytes'] > 0)
+			return ('piping');
+		rq = group['segments'][0];
+	}
+
+	if (rq['skipped'])
+		return ('skipped');
+	if (rq['cancelled'])
+		return ('cancelled');
+	if (rq['failed'])
+		return ('failed');
+	if (rq['done'])
+		return ('done');
+	if (rq['piping'] || rq['begun'])
+		return ('piping');
+	if (rq['nattempts'] === 0)
+		return ('queued');
+	if (rq['stream'] !== null && (rq['ended'] || rq['tfirst'] !== 0))
+		return ('buffered');
+	return ('fetching');
+};
+
+/*
+ * Cancel resource "rq" (see ResourceHandle).  The resource is marked failed so
+ * that the rest of the code skips over it just like a resource that failed
+ * under onResourceError "skip", but it's not counted or reported as a failure.
+ */
+CatStreams.prototype.rqCancel = function (rq)
+{
+	var state = this.rqState(rq);
+
+	if (state == 'done' || state == 'failed' || state == 'cancelled' ||
+	    state == 'skipped' || this.cs_aborted || this.cs_failed)
+		return (false);
+
+	this.cs_log.debug({ 'index': rq['index'] }, 'cancelling resource');
+	this.cs_ncancelled++;
+	if (rq['group'] !== null) {
+		this.groupDrop(rq['group'], true);
+	} else {
+		rq['cancelled'] = true;
+		rq['failed'] = true;
+		this.rqDrop(rq);
+	}
+
+	this.queueCheck();
+	this.headSkip();
+	return (true);
+};
+
+/*
+ * The resource whose segments are described by "group" has failed or been
+ * cancelled (as indicated by "cancelled").  Drop whichever segments haven't
+ * already been emitted or dropped.
+ */
+CatStreams.prototype.groupDrop = function (group, cancelled)
+{
+	group['failed'] = true;
+	group['cancelled'] = cancelled;
+	group['segments'].forEach(function (rq) {
+		if (rq['done'] || rq['failed'])
+			return;
+		rq['cancelled'] = cancelled;
+		rq['failed'] = true;
+		this.rqDrop(rq);
+	}, this);
+};
+
+/*
+ * Resource "rq", which has been marked failed, is being dropped from the
+ * output.  Stop fetching it and release its resources.  The caller is
+ * responsible for moving on if it's at the head.
+ */
+CatStreams.prototype.rqDrop = function (rq)
+{
+	var stream, i;
+
+	rq['func'] = null;
+	if (this.cs_ready.indexOf(rq) == -1) {
+		/*
+		 * The resource is still in the work queue.  It will be dropped
+		 * when it's dispatched to work().
+		 */
+		this.cs_nqdropped++;
+		return;
+	}
+
+	i = this.cs_budgetwait.indexOf(rq);
+	if (i != -1)
+		this.cs_budgetwait.splice(i, 1);
+
+	if (rq['timer'] !== null) {
+		clearTimeout(rq['timer']);
+		rq['timer'] = null;
+	}
+
+	stream = rq['ended'] ? null : rq['stream'];
+	this.rqDetach(rq);
+	if (stream !== null)
+		abortStream(stream);
+
+	this.rqRelease(rq);
+};
+
+/*
+ * Arm the hedge timer (see the "hedge" option and the IMPLEMENTATION NOTES
+ * above) for resource "rq", which is at the head of the queue, to fire after
+ * "delay" milliseconds.  If "delay" isn't given, the timer fires when the
+ * resource's current attempt has been running for hedge.delay milliseconds.
+ * This does nothing if the timer is already armed for "rq".
+ */
+CatStreams.prototype.hedgeArm = function (rq, delay)
+{
+	var s = this;
+
+	if (this.cs_hedge === null || rq['hedged'] || rq['failed'] ||
+	    (this.cs_hedgerq === rq && this.cs_hedgetimer !== null))
+		return;
+
+	if (delay === undefined) {
+		delay = this.cs_hedge['delay'];
+		if (rq['stream'] !== null || rq['setup'])
+			delay = Math.max(0, rq['tstart'] + delay - Date.now());
+	}
+
+	this.hedgeDisarm();
+	this.cs_hedgerq = rq;
+	this.cs_hedgetimer = setTimeout(function () {
+		s.cs_hedgetimer = null;
+		s.hedgeCheck(rq);
+	}, delay);
+};
+
+CatStreams.prototype.hedgeDisarm = function ()
+{
+	if (this.cs_hedgetimer !== null) {
+		clearTimeout(this.cs_hedgetimer);
+		this.cs_hedgetimer = null;
+	}
+	this.cs_hedgerq = null;
+};
+
+/*
+ * The hedge timer for resource "rq" has fired.  If it's still at the head of
+ * the queue and it's slow, hedge it.  Otherwise, check again later.
+ */
+CatStreams.prototype.hedgeCheck = function (rq)
+{
+	var delay, elapsed, tputs, tput, median, reason;
+
+	if (this.cs_ready[0] !== rq || rq['hedged'] || rq['failed'] ||
+	    this.cs_aborted || this.cs_failed)
+		return;
+
+	delay = this.cs_hedge['delay'];
+	if (rq['stream'] === null && !rq['setup']) {
+		/* The resource is waiting to be retried. */
+		this.hedgeArm(rq, delay);
+		return;
+	}
+
+	elapsed = Date.now() - rq['tstart'];
+	if (elapsed < delay) {
+		/* A new attempt was started since the timer was armed. */
+		this.hedgeArm(rq, delay - elapsed);
+		return;
+	}
+
+	reason = null;
+	tputs = this.cs_hedgetputs;
+	if (rq['tfirst'] === 0) {
+		reason = 'no data';
+	} else if (rq['piping'] && rq['spill'] === null &&
+	    !this.cs_blocked && this.cs_ratetimer === null &&
+	    tputs.length >= CS_HEDGE_MINSAMPLES &&
+	    rqSourceUsable(rq, rq['source'])) {
+		tput = (rq['nbytes'] - rq['sbytes']) * 1000 / elapsed;
+		median = tputs.slice(0).sort(function (a, b) {
+			return (a - b);
+		})[Math.floor(tputs.length / 2)];
+		if (tput < this.cs_hedge['ratio'] * median)
+			reason = 'slow';
+	}
+
+	if (reason === null) {
+		this.hedgeArm(rq, delay);
+		return;
+	}
+
+	this.hedgeStart(rq, reason);
+};
+
+/*
+ * Invoke the user's function for resource "rq" again to create a second copy
+ * of its stream, which races the current one (see the "hedge" option).
+ */
+CatStreams.prototype.hedgeStart = function (rq, reason)
+{
+	var s = this;
+	var hg;
+
+	hg = {
+	    'stream': null,		/* second copy of the stream */
+	    'offset': rq['transform'] !== null ? 0 : rq['nbytes'],
+	    'tstart': Date.now(),	/* time copy was started */
+	    'reason': reason		/* why resource was hedged */
+	};
+	rq['hedged'] = true;
+	rq['hedge'] = hg;
+	this.cs_nhedged++;
+	this.cs_log.info({
+	    'index': rq['index'],
+	    'attempt': rq['nattempts'],
+	    'offset': hg['offset'],
+	    'reason': reason
+	}, 'hedging resource');
+
+	this.rqInvoke(rq, function (err, stream) {
+		s.hedgeSetup(rq, hg, err, stream);
+	});
+};
+
+/*
+ * The user's function has produced an error or "stream" for the second copy
+ * "hg" of resource "rq".
+ */
+CatStreams.prototype.hedgeSetup = function (rq, hg, err, stream)
+{
+	var s = this;
+
+	if (rq['hedge'] !== hg) {
+		/* The second copy has already lost. */
+		if (!err && stream)
+			abortStream(stream);
+		return;
+	}
+
+	if (!err) {
+		try {
+			stream = this.rqWrap(rq, stream);
+		} catch (ex) {
+			err = ex;
+		}
+	}
+
+	if (err) {
+		this.hedgeLost(rq, err);
+		return;
+	}
+
+	hg['stream'] = stream;
+	stream.on('error', function (err2) {
+		if (rq['hedge'] === hg)
+			s.hedgeLost(rq, err2);
+	});
+	stream.once('readable', function () {
+		if (rq['hedge'] === hg)
+			s.hedgeWon(rq, hg);
+	});
+	stream.read(0);
+};
+
+/*
+ * The second copy "hg" of resource "rq" has data available before the original
+ * did.  Abort the original stream and emit the new one in its place.
+ */
+CatStreams.prototype.hedgeWon = function (rq, hg)
+{
+	var stream = rq['stream'];
+
+	this.cs_log.info({
+	    'index': rq['index'],
+	    'reason': hg['reason'],
+	    'offset': hg['offset'],
+	    'nbytes': rq['nbytes'],
+	    'ttfb': Date.now() - hg['tstart']
+	}, 'hedge won');
+
+	rq['hedge'] = null;
+	this.cs_nhedgewon++;
+	this.rqDetach(rq);
+	if (stream !== null)
+		abortStream(stream);
+
+	rq['tstart'] = hg['tstart'];
+	rq['tfirst'] = 0;
+	rq['sbytes'] = hg['offset'];
+	rq['discard'] = rq['nbytes'] - hg['offset'];
+	this.rqAttach(rq, hg['stream']);
+};
+
+/*
+ * Drop the second copy of resource "rq", if there is one, because the original
+ * stream won, either copy failed (with "err"), or the resource is done.
+ */
+CatStreams.prototype.hedgeLost = function (rq, err)
+{
+	var hg = rq['hedge'];
+
+	if (hg === null)
+		return;
+
+	this.cs_log.info({
+	    'err': err,
+	    'index': rq['index'],
+	    'reason': hg['reason']
+	}, 'hedge lost');
+
+	rq['hedge'] = null;
+	if (hg['stream'] !== null)
+		abortStream(hg['stream']);
+};
+
+/*
+ * Record the throughput of resource "rq", which has just been emitted, for
+ * deciding whether later resources are slow.
+ */
+CatStreams.prototype.hedgeSample = function (rq)
+{
+	var elapsed = Math.max(1, Date.now() - rq['tstart']);
+
+	if (rq['nbytes'] == rq['sbytes'])
+		return;
+
+	this.cs_hedgetputs.push((rq['nbytes'] - rq['sbytes']) * 1000 / elapsed);
+	if (this.cs_hedgetputs.length > CS_HEDGE_SAMPLES)
+		this.cs_hedgetputs.shift();
+};
+
+/*
+ * Invoked periodically to adjust the concurrency limit when
+ * adaptiveConcurrency is enabled.  See the IMPLEMENTATION NOTES above.
+ */
+CatStreams.prototype.adaptTick = function ()
+{
+	var interval, throughput, ttfb, saturated, dir, step, concurrency;
+	var reason, change;
+
+	interval = this.cs_adaptive['interval'] || 1000;
+	throughput = Math.round(
+	    (this.cs_nbytes - this.cs_acbytes) * 1000 / interval);
+	ttfb = null;
+	if (this.cs_acttfbs.length > 0) {
+		ttfb = Math.round(this.cs_acttfbs.reduce(function (sum, t) {
+			return (sum + t);
+		}, 0) / this.cs_acttfbs.length);
+	}
+
+	saturated = this.cs_queue.length() > 0 ||
+	    this.cs_queue.npending >= this.cs_maxconcurr;
+
+	if (ttfb !== null && this.cs_acttfbmin != Infinity &&
+	    ttfb > 2 * this.cs_acttfbmin + 10) {
+		dir = -1;
+		reason = 'first-byte latency increased';
+	} else if (!saturated || this.cs_acblocked) {
+		dir = 0;
+	} else if (throughput > this.cs_aclast * 1.05) {
+		dir = this.cs_acdir;
+		reason = 'throughput improved';
+	} else if (throughput < this.cs_aclast * 0.9) {
+		dir = -this.cs_acdir;
+		reason = 'throughput dropped';
+	} else {
+		dir = 0;
+	}
+
+	if (ttfb !== null)
+		this.cs_acttfbmin = Math.min(this.cs_acttfbmin, ttfb);
+	this.cs_aclast = throughput;
+	this.cs_acbytes = this.cs_nbytes;
+	this.cs_acttfbs = [];
+	this.cs_acblocked = false;
+
+	if (dir === 0)
+		return;
+
+	step = Math.max(1, Math.floor(this.cs_maxconcurr / 4));
+	concurrency = Math.max(this.cs_adaptive['min'], Math.min(
+	    this.cs_adaptive['max'], this.cs_maxconcurr + dir * step));
+	this.cs_acdir = dir;
+	if (concurrency == this.cs_maxconcurr)
+		return;
+
+	change = {
+	    'previous': this.cs_maxconcurr,
+	    'concurrency': concurrency,
+	    'reason': reason,
+	    'throughput': throughput,
+	    'ttfb': ttfb
+	};
+	this.cs_log.info(change, 'changing concurrency');
+	this.cs_maxconcurr = concurrency;
+	this.cs_queue.updateConcurrency(concurrency);
+	this.emit('concurrency-change', change);
+};
+
+CatStreams.prototype.adaptStop = function ()
+{
+	if (this.cs_actimer !== null) {
+		clearInterval(this.cs_actimer);
+		this.cs_actimer = null;
+	}
+};
+
+/*
+ * Invoked when all resources have been processed and no more will be added.
+ */
+CatStreams.prototype.finish = function ()
+{
+	this.adaptStop();
+	this.hedgeDisarm();
+	this.signalDetach();
+	if (this.cs_checkpoint !== null)
+		this.cs_checkpoint.close();
+
+	if (this.cs_errors.length > 0) {
+		/* Report failures in resource order, not completion order. */
+		this.cs_errors.sort(function (a, b) {
+			return (VError.info(a).index - VError.info(b).index);
+		});
+		this.emit('error', new MultiError(this.cs_errors));
+		return;
+	}
+
+	if (this.cs_join == 'json-array')
+		this.emitExtra(this.cs_joinstarted ? ']' : '[]');
+	this.end();
+};
+
+/*
+ * Fail the whole stream with error "err": stop processing requests and emit
+ * 'error'.
+ */
+CatStreams.prototype.fail = function (err)
+{
+	this.cs_failed = true;
+	this.teardown();
+	this.emit('error', err);
+};
+
+/*
+ * Stop processing requests.  Underlying streams are aborted using their
+ * abort() method if they have one (as Node's HTTP requests do) and destroy()
+ * otherwise, and resources that haven't been started yet are discarded without
+ * invoking their functions.  This object will stop emitting 'data', 'end',
+ * 'error', and 'request-drain', and instead emits 'abort' with "reason", which
+ * defaults to an Error whose name is "AbortError".  It's then destroyed
+ * (without an error), so it emits 'close', and collect() and "for await"
+ * reject with "reason".
+ */
+CatStreams.prototype.abort = function (reason)
+{
+	this.cs_log.info({
+	    'nready': this.cs_ready.length,
+	    'ended': this.cs_ended,
+	    'aborted': this.cs_aborted,
+	    'reason': reason
+	}, 'abort');
+
+	if (this.cs_aborted)
+		return;
+
+	if (reason === undefined)
+		reason = new VError({ 'name': 'AbortError' }, 'stream aborted');
+
+	this.cs_aborted = true;
+	this.cs_abortreason = reason;
+	this.teardown();
+	this.emit('abort', reason);
+	this.destroy();
+};
+
+/*
+ * Handle returned by cat() for the resource "rq" in CatStreams "cs".
+ */
+function ResourceHandle(cs, rq)
+{
+	this.index = rq['index'];
+	this.full = cs.queueFull();
+	this.rh_cs = cs;
+	this.rh_rq = rq;
+}
+
+ResourceHandle.prototype.state = function ()
+{
+	return (this.rh_cs.rqState(this.rh_rq));
+};
+
+ResourceHandle.prototype.nbytes = function ()
+{
+	return (rqBytes(this.rh_rq));
+};
+
+ResourceHandle.prototype.cancel = function ()
+{
+	return (this.rh_cs.rqCancel(this.rh_rq));
+};
+
+/*
+ * Stop listening for our AbortSignal, if any.
+ */
+CatStreams.prototype.signalDetach = function ()
+{
+	if (this.cs_onsignal === null)
+		return;
+
+	this.cs_signal.removeEventListener('abort', this.cs_onsignal);
+	this.cs_onsignal = null;
+};
+
+/*
+ * Stop fetching resources: discard queued resources, cancel pending retries,
+ * and abort all streams that are still outstanding.
+ */
+CatStreams.prototype.teardown = function ()
+{
+	var s = this;
+
+	this.adaptStop();
+	this.hedgeDisarm();
+	this.signalDetach();
+	if (this.cs_checkpoint !== null)
+		this.cs_checkpoint.close();
+	if (this.cs_ratetimer !== null) {
+		clearTimeout(this.cs_ratetimer);
+		this.cs_ratetimer = null;
+	}
+	this.cs_queue.kill();
+	this.cs_budgetwait = [];
+	if (this.cs_ready.length === 0)
+		return;
+
+	/*
+	 * The first element in "cs_ready" is piped to ourselves.  Stop reading
+	 * from it now.  We know that it hasn't reached it's 'end' yet, since
+	 * that would cause it to be removed from the queue.  Abort all of the
+	 * streams, and cancel any pending retries.
+	 */
+	this.cs_ready.forEach(function (rq, i) {
+		s.rqTimerClear(rq);
+		s.rqSpillClean(rq);
+		s.hedgeLost(rq);
+		rq.func = null;
+		rq.setup = false;
+		if (rq.timer !== null) {
+			clearTimeout(rq.timer);
+			rq.timer = null;
+		}
+
+		if (rq.stream !== null && !rq.ended) {
+			if (rq.piping)
+				rq.stream.removeListener('readable',
+				    rq.onreadable);
+			rq.piping = false;
+			abortStream(rq.stream);
+		}
+	});
+};
+
+/*
+ * Duplex stream that wraps a CatStreams so that resources can be added by
+ * writing them rather than by calling cat().  The writable side is in object
+ * mode, and each object written is either a function to pass to cat() or an
+ * object with a "func" property and other options for cat() (see catItem()).
+ * The readable side emits the concatenated resources.  When the writable side
+ * finishes, the CatStreams is ended as though cat(null) had been called, so
+ * that the output of another object stream can be piped through:
+ *
+ *	listing.pipe(new CatStreams.CatDuplex(options)).pipe(output);
+ *
+ * Options are the same as for CatStreams, plus:
+ *
+ *    maxPending	max number of resources that have been written but not
+ *    			yet emitted (or skipped) before we stop accepting more
+ *    			writes (default: twice maxConcurrency)
+ *
+ * The 'resource-*', 'concurrency-change', and 'abort' events emitted by the
+ * CatStreams are re-emitted here, and the CatStreams itself is available as
+ * "catstreams".
+ */
+function CatDuplex(options)
+{
+	var s = this;
+	var objmode;
+
+	mod_assert.equal(typeof (options), 'object');
+	objmode = options['streamOptions'] !== undefined &&
+	    options['streamOptions']['objectMode'] === true;
+
+	mod_stream.Duplex.call(this, {
+	    'writableObjectMode': true,
+	    'readableObjectMode': objmode
+	});
+
+	this.catstreams = new CatStreams(options);
+	this.cd_maxpending = options['maxPending'] ||
+	    2 * options['maxConcurrency'];
+	this.cd_reading = false;	/* consumer wants more data */
+	this.cd_writecb = null;		/* deferred write callback */
+
+	this.catstreams.on('readable', function () { s.flow(); });
+	this.catstreams.on('end', function () { s.push(null); });
+	this.catstreams.on('error', function (err) {
+		s.emit('error', err);
+	});
+	this.catstreams.on('abort', function () { s.destroy(); });
+	this.catstreams.on('resource-end', function () { s.writeCheck(); });
+	this.catstreams.on('resource-error', function () { s.writeCheck(); });
+	this.catstreams.on('queue-drain', function () { s.writeCheck(); });
+	CD_EVENTS.forEach(function (name) {
+		s.catstreams.on(name, function (arg) { s.emit(name, arg); });
+	});
+
+	this.on('finish', function () {
+		if (!s.catstreams.cs_aborted && !s.catstreams.cs_failed)
+			s.catstreams.cat(null);
+	});
+}
+
+mod_util.inherits(CatDuplex, mod_stream.Duplex);
+
+CatDuplex.prototype._write = function (item, _, callback)
+{
+	try {
+		this.catstreams.catItem(item);
+	} catch (ex) {
+		callback(ex);
+		return;
+	}
+
+	if (this.full())
+		this.cd_writecb = callback;
+	else
+		callback();
+};
+
+/*
+ * Returns whether we should stop accepting writes for now, either because
+ * there are too many resources pending or because the CatStreams's queue is
+ * full (see maxQueued).
+ */
+CatDuplex.prototype.full = function ()
+{
+	return (this.npending() >= this.cd_maxpending ||
+	    this.catstreams.queueFull());
+};
+
+/*
+ * Returns the number of resources that have been written but not yet
+ * emitted or skipped.
+ */
+CatDuplex.prototype.npending = function ()
+{
+	var cs = this.catstreams;
+	return (cs.cs_nresources - cs.cs_ndone - cs.cs_nfailed -
+	    cs.cs_ncancelled - cs.cs_nskipped);
+};
+
+/*
+ * Invoked when a resource is started or finishes to accept another write if
+ * one was deferred.
+ */
+CatDuplex.prototype.writeCheck = function ()
+{
+	var callback;
+
+	if (this.cd_writecb === null || this.full())
+		return;
+
+	callback = this.cd_writecb;
+	this.cd_writecb = null;
+	callback();
+};
+
+CatDuplex.prototype._read = function ()
+{
+	this.cd_reading = true;
+	this.flow();
+};
+
+/*
+ * Move data from the CatStreams to our readable side for as long as our
+ * consumer wants it.
+ */
+CatDuplex.prototype.flow = function ()
+{
+	var chunk;
+
+	while (this.cd_reading &&
+	    (chunk = this.catstreams.read()) !== null)
+		this.cd_reading = this.push(chunk);
+};
+
+CatDuplex.prototype.stats = function ()
+{
+	return (this.catstreams.stats());
+};
+
+CatDuplex.prototype.abort = function (reason)
+{
+	this.catstreams.abort(reason);
+};
+
+CatDuplex.prototype._destroy = function (err, callback)
+{
+	this.catstreams.destroy();
+	callback(err);
+};
+
+if (typeof (Symbol) != 'undefined' && Symbol.asyncIterator &&
+    mod_stream.Readable.prototype[Symbol.asyncIterator]) {
+	CatDuplex.prototype[Symbol.asyncIterator] = function () {
+		return (abortIterator(this, this.catstreams));
+	};
+}
+
+/*
+ * Checkpoint store (see the "checkpoint" option) that keeps the journal in the
+ * local file "path", with one JSON object per line.  Records are written
+ * synchronously, so they survive the process crashing (though not necessarily
+ * the system crashing).  A partial record at the end of the file (from a crash
+ * while it was being written) is ignored.
+ */
+function FileCheckpoint(path)
+{
+	this.fc_path = path;
+	this.fc_fd = -1;
+}
+
+FileCheckpoint.prototype.load = function ()
+{
+	var contents, entries, lines, i;
+
+	try {
+		contents = mod_fs.readFileSync(this.fc_path, 'utf8');
+	} catch (ex) {
+		if (ex.code == 'ENOENT')
+			return ([]);
+		throw (ex);
+	}
+
+	entries = [];
+	lines = contents.split('\n');
+	for (i = 0; i < lines.length - 1; i++)
+		entries.push(JSON.parse(lines[i]));
+	return (entries);
+};
+
+FileCheckpoint.prototype.reset = function (entries)
+{
+	mod_fs.writeFileSync(this.fc_path, entries.map(function (entry) {
+		return (JSON.stringify(entry) + '\n');
+	}).join(''));
+	this.fc_fd = mod_fs.openSync(this.fc_path, 'a');
+};
+
+FileCheckpoint.prototype.record = function (entry)
+{
+	mod_fs.writeSync(this.fc_fd, JSON.stringify(entry) + '\n');
+};
+
+FileCheckpoint.prototype.close = function ()
+{
+	if (this.fc_fd == -1)
+		return;
+
+	mod_fs.closeSync(this.fc_fd);
+	this.fc_fd = -1;
+};
+
+/*
+ * Token bucket used to enforce a rate limit of "rate" units per second.  We
+ * allow the bucket to go negative so that chunks can be read whole, in which
+ * case callers wait for it to refill before reading more.
+ */
+function TokenBucket(rate)
+{
+	mod_assert.equal(typeof (rate), 'number');
+	mod_assert.ok(rate > 0, 'rate must be positive');
+
+	this.tb_rate = rate;
+	this.tb_capacity = rate * CS_RATE_BURST / 1000;
+	this.tb_tokens = this.tb_capacity;
+	this.tb_last = Date.now();
+}
+
+TokenBucket.prototype.refill = function ()
+{
+	var now = Date.now();
+
+	this.tb_tokens = Math.min(this.tb_capacity,
+	    this.tb_tokens + (now - this.tb_last) * this.tb_rate / 1000);
+	this.tb_last = now;
+};
+
+/*
+ * Returns how long (in milliseconds) to wait before consuming more tokens.
+ */
+TokenBucket.prototype.wait = function ()
+{
+	this.refill();
+	if (this.tb_tokens > 0)
+		return (0);
+	return (Math.max(1, Math.ceil(
+	    (1 - this.tb_tokens) * 1000 / this.tb_rate)));
+};
+
+TokenBucket.prototype.take = function (count)
+{
+	this.tb_tokens -= count;
+};
+
+/*
+ * Returns whether "rq" is the last part of its resource, which is true unless
+ * it's a segment of a ranged resource other than the last one.
+ */
+function rqIsLast(rq)
+{
+	return (rq['group'] === null || rq === rq['group']['segments'][
+	    rq['group']['segments'].length - 1]);
+}
+
+/*
+ * Returns whether source "i" of resource "rq" can be used to fetch the rest of
+ * the resource.  See cat().
+ */
+function rqSourceUsable(rq, i)
+{
+	return (rq['sources'] === null || rq['nbytes'] === 0 ||
+	    rq['transform'] !== null || rq['sources'][i]['resumable']);
+}
+
+/*
+ * Returns the number of bytes emitted for the resource that "rq" is part of.
+ */
+function rqBytes(rq)
+{
+	return (rq['group'] === null ? rq['nbytes'] : rq['group']['nbytes']);
+}
+
+/*
+ * Returns a stream that ends without emitting any data.
+ */
+function emptyStream()
+{
+	var stream = new mod_stream.PassThrough();
+	stream.end();
+	return (stream);
+}
+
+/*
+ * Returns the amount of data buffered inside "stream".
+ */
+function streamBuffered(stream)
+{
+	if (typeof (stream.readableLength) == 'number')
+		return (stream.readableLength);
+
+	if (stream._readableState)
+		return (stream._readableState.length);
+
+	return (0);
+}
+
+/*
+ * Returns whether the byte "c" is whitespace according to JSON.
+ */
+function jsonSpace(c)
+{
+	return (c == 0x20 || c == 0x09 || c == 0x0a || c == 0x0d);
+}
+
+/*
+ * Returns the Readable async iterator for "stream", wrapped so that once the
+ * CatStreams "cs" has been aborted, it rejects with the abort reason.
+ * Otherwise, depending on the Node version, the iterator would either end as
+ * though the output were complete or reject with a premature close error.
+ */
+function abortIterator(stream, cs)
+{
+	var iter, wrapper;
+
+	iter = mod_stream.Readable.prototype[Symbol.asyncIterator].call(stream);
+	wrapper = {
+	    'next': function () {
+		return (iter.next().then(function (result) {
+			if (result.done && cs.cs_aborted)
+				throw (cs.cs_abortreason);
+			return (result);
+		}, function (err) {
+			if (cs.cs_aborted)
+				throw (cs.cs_abortreason);
+			throw (err);
+		}));
+	    },
+	    'return': function () {
+		return (iter.return());
+	    }
+	};
+	wrapper[Symbol.asyncIterator] = function () { return (this); };
+	return (wrapper);
+}
+
+/*
+ * Cancel the rate limit timer for the spill state "sp", if it's set.
+ */
+function spillTimerClear(sp)
+{
+	if (sp['ratetimer'] === null)
+		return;
+
+	clearTimeout(sp['ratetimer']);
+	sp['ratetimer'] = null;
+}
+
+/*
+ * Abort an underlying stream, using abort() if the stream supports it (as
+ * Node's HTTP requests do) and destroy() otherwise.
+ */
+function abortStream(stream)
+{
+	if (typeof (stream.abort) == 'function')
+		stream.abort();
+	else if (typeof (stream.destroy) == 'function')
+		stream.destroy();
+}
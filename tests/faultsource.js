@@ -0,0 +1,101 @@
+/*
+ * FaultSource: a Readable stream that emits the contents of a buffer, but can
+ * be configured to fail partway through.  This is used to test how CatStreams
+ * behaves when the underlying streams fail.  Options include:
+ *
+ *    highWaterMark	passed through to the Readable constructor
+ *
+ *    chunkSize		max size of each chunk emitted (default: 1024)
+ *
+ *    failAfter		if specified, emit an error after this many bytes
+ *
+ *    error		the error to emit (default: a generic Error)
+ *
+ *    delay		if specified, wait this many milliseconds before
+ *    			emitting each chunk (or the error)
+ *
+ *    hangAfter		if specified, stop emitting data (without ending or
+ *    			failing) after this many bytes
+ */
+
+var mod_util = require('util');
+var mod_stream = require('stream');
+if (!mod_stream.Transform)
+	/* 0.8 shim */
+	mod_stream = require('readable-stream');
+
+module.exports = FaultSource;
+
+function FaultSource(buf, options)
+{
+	options = options || {};
+
+	this.fs_buf = buf;
+	this.fs_emitted = 0;
+	this.fs_chunksize = options['chunkSize'] || 1024;
+	this.fs_failafter = options.hasOwnProperty('failAfter') ?
+	    options['failAfter'] : -1;
+	this.fs_error = options['error'] ||
+	    new Error('injected failure after ' + this.fs_failafter + ' bytes');
+	this.fs_failed = false;
+	this.fs_delay = options['delay'] || 0;
+	this.fs_hangafter = options.hasOwnProperty('hangAfter') ?
+	    options['hangAfter'] : -1;
+	this.fs_pending = false;
+
+	mod_stream.Readable.call(this,
+	    { 'highWaterMark': options['highWaterMark'] });
+}
+
+mod_util.inherits(FaultSource, mod_stream.Readable);
+
+FaultSource.prototype._read = function ()
+{
+	var s = this;
+
+	if (this.fs_delay === 0) {
+		this.emitChunk();
+		return;
+	}
+
+	if (this.fs_pending)
+		return;
+
+	this.fs_pending = true;
+	setTimeout(function () {
+		s.fs_pending = false;
+		s.emitChunk();
+	}, this.fs_delay);
+};
+
+FaultSource.prototype.emitChunk = function ()
+{
+	var s = this;
+	var count;
+
+	if (this.fs_failed || this.destroyed)
+		return;
+
+	if (this.fs_hangafter != -1 && this.fs_emitted >= this.fs_hangafter)
+		return;
+
+	if (this.fs_failafter != -1 && this.fs_emitted >= this.fs_failafter) {
+		this.fs_failed = true;
+		process.nextTick(function () { s.emit('error', s.fs_error); });
+		return;
+	}
+
+	count = Math.min(this.fs_buf.length - this.fs_emitted,
+	    this.fs_chunksize);
+	if (this.fs_failafter != -1)
+		count = Math.min(count, this.fs_failafter - this.fs_emitted);
+	if (this.fs_hangafter != -1)
+		count = Math.min(count, this.fs_hangafter - this.fs_emitted);
+	if (count === 0) {
+		this.push(null);
+		return;
+	}
+
+	this.push(this.fs_buf.slice(this.fs_emitted, this.fs_emitted + count));
+	this.fs_emitted += count;
+};
@@ -0,0 +1,374 @@
+/*
+ * tst.abort.js: exercise abort(), including aborting streams that don't have
+ * an abort() method and aborting via an AbortSignal.
+ */
+
+var mod_assert = require('assert');
+var mod_bunyan = require('bunyan');
+var mod_events = require('events');
+var mod_fs = require('fs');
+var mod_os = require('os');
+var mod_path = require('path');
+var mod_vasync = require('vasync');
+
+var CatStreams = require('../lib/catstreams');
+var FaultSource = require('./faultsource');
+
+var log = new mod_bunyan({
+    'name': 'tst.abort.js',
+    'level': process.env['LOG_LEVEL'] || 'info',
+    'serializers': {}
+});
+
+var nresources = 10;
+var sources;
+var ncalls;
+var funcs = [
+    testAbort,
+    testDefaultReason,
+    testCollect,
+    testForAwait,
+    testDuplex,
+    testUnorderedData
+];
+
+/* AbortController is only available in Node 15 and later. */
+if (typeof (AbortController) != 'undefined') {
+	funcs.push(testSignal, testSignalAborted);
+	if (typeof (mod_events.getEventListeners) == 'function')
+		funcs.push(testSignalDetached);
+} else {
+	log.info('skipping AbortSignal tests');
+}
+
+mod_vasync.pipeline({
+    'funcs': funcs
+}, function (err) {
+	if (err) {
+		log.fatal(err, 'TEST FAILED');
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+/*
+ * Returns a CatStreams with "nresources" resources that each emit a little
+ * data and then hang, so that they're all still outstanding when aborted.
+ * FaultSource has no abort() method, so these must be destroyed.
+ */
+function makeStream(extra)
+{
+	var options, cs, j;
+
+	options = {
+	    'log': log,
+	    'perRequestBuffer': 1024,
+	    'maxConcurrency': 3
+	};
+	for (j in extra)
+		options[j] = extra[j];
+
+	sources = [];
+	ncalls = 0;
+	cs = new CatStreams(options);
+	for (j = 0; j < nresources; j++)
+		cs.cat(hangingFunc);
+	cs.cat(null);
+	cs.on('end', function () { throw (new Error('unexpected end')); });
+	cs.resume();
+	return (cs);
+}
+
+function hangingFunc(sopts)
+{
+	var source = new FaultSource(new Buffer(4096), {
+	    'highWaterMark': sopts['highWaterMark'],
+	    'hangAfter': 100
+	});
+	ncalls++;
+	sources.push(source);
+	return (source);
+}
+
+/*
+ * Read "stream" to the end with its async iterator, as "for await" would, and
+ * invoke "callback" with the error if that fails.
+ */
+function consume(stream, callback)
+{
+	var iter = stream[Symbol.asyncIterator]();
+
+	function next() {
+		iter.next().then(function (result) {
+			if (result.done)
+				callback(null);
+			else
+				next();
+		}, callback);
+	}
+
+	next();
+}
+
+/*
+ * Check that all of the streams that were created have been destroyed and
+ * that the remaining resources were never started.
+ */
+function checkAborted()
+{
+	mod_assert.equal(ncalls, 3);
+	sources.forEach(function (source) {
+		mod_assert.ok(source.destroyed, 'source was not destroyed');
+	});
+	setTimeout(function () {
+		mod_assert.equal(ncalls, 3, 'resource started after abort');
+	}, 10);
+}
+
+function testAbort(_, callback)
+{
+	var cs = makeStream({});
+	var reason = new Error('giving up');
+
+	cs.on('abort', function (r) {
+		mod_assert.strictEqual(r, reason);
+		checkAborted();
+		log.info('abort: ok');
+		setTimeout(callback, 20);
+	});
+
+	cs.once('resource-first-byte', function () {
+		setTimeout(function () { cs.abort(reason); }, 10);
+	});
+}
+
+function testDefaultReason(_, callback)
+{
+	var cs = makeStream({});
+
+	cs.on('abort', function (reason) {
+		mod_assert.equal(reason.name, 'AbortError');
+		checkAborted();
+
+		/* A second abort is a no-op. */
+		cs.on('abort', function () {
+			throw (new Error('second abort event'));
+		});
+		cs.abort(new Error('again'));
+		log.info('default reason: ok');
+		setTimeout(callback, 20);
+	});
+
+	setTimeout(function () { cs.abort(); }, 10);
+}
+
+/*
+ * collect() rejects with the reason when the stream is aborted, including when
+ * collect() is only invoked afterwards.
+ */
+function testCollect(_, callback)
+{
+	var cs = makeStream({});
+	var reason = new Error('giving up');
+
+	cs.collect().then(function () {
+		callback(new Error('collect() resolved after abort'));
+	}, function (err) {
+		mod_assert.strictEqual(err, reason);
+		checkAborted();
+		cs.collect().then(function () {
+			callback(new Error('collect() resolved after abort'));
+		}, function (err2) {
+			mod_assert.strictEqual(err2, reason);
+			log.info('collect: ok');
+			setTimeout(callback, 20);
+		});
+	});
+
+	cs.once('resource-first-byte', function () {
+		setTimeout(function () { cs.abort(reason); }, 10);
+	});
+}
+
+/*
+ * Consuming the stream with its async iterator, as "for await" would, rejects
+ * with the reason when the stream is aborted.
+ */
+function testForAwait(_, callback)
+{
+	var cs = makeStream({});
+	var reason = new Error('giving up');
+
+	consume(cs, function (err) {
+		mod_assert.strictEqual(err, reason);
+		mod_assert.ok(cs.destroyed);
+		checkAborted();
+		log.info('for await: ok');
+		setTimeout(callback, 20);
+	});
+
+	cs.once('resource-first-byte', function () {
+		setTimeout(function () { cs.abort(reason); }, 10);
+	});
+}
+
+/*
+ * Aborting a CatDuplex destroys it, so its consumers don't wait forever.
+ */
+function testDuplex(_, callback)
+{
+	var duplex, reason, j;
+
+	sources = [];
+	ncalls = 0;
+	reason = new Error('giving up');
+	duplex = new CatStreams.CatDuplex({
+	    'log': log,
+	    'perRequestBuffer': 1024,
+	    'maxConcurrency': 3
+	});
+	for (j = 0; j < nresources; j++)
+		duplex.write(hangingFunc);
+
+	consume(duplex, function (err) {
+		mod_assert.strictEqual(err, reason);
+		mod_assert.ok(duplex.destroyed);
+		checkAborted();
+		log.info('duplex: ok');
+		setTimeout(callback, 20);
+	});
+
+	duplex.once('resource-first-byte', function () {
+		setTimeout(function () { duplex.abort(reason); }, 10);
+	});
+}
+
+/*
+ * Abort from a 'data' handler in unordered mode, while other resources have
+ * already ended.  Nothing more may happen after that, including recording
+ * those resources in the checkpoint journal, which is already closed.
+ */
+function testUnorderedData(_, callback)
+{
+	var tmpdir, journal, cs, j;
+
+	tmpdir = mod_fs.mkdtempSync(
+	    mod_path.join(mod_os.tmpdir(), 'tst.abort.'));
+	journal = mod_path.join(tmpdir, 'journal');
+	cs = new CatStreams({
+	    'log': log,
+	    'perRequestBuffer': 1024,
+	    'maxConcurrency': 3,
+	    'ordered': false,
+	    'checkpoint': journal
+	});
+	for (j = 0; j < 3; j++) {
+		cs.cat(function (sopts) {
+			return (new FaultSource(new Buffer(10),
+			    { 'highWaterMark': sopts['highWaterMark'] }));
+		});
+	}
+	cs.cat(null);
+
+	cs.on('resource-end', function () {
+		throw (new Error('resource-end after abort'));
+	});
+	cs.on('error', function (err) { throw (err); });
+	cs.on('end', function () { throw (new Error('unexpected end')); });
+	cs.once('data', function () { cs.abort(); });
+	cs.on('abort', function () {
+		setTimeout(function () {
+			mod_assert.equal(
+			    mod_fs.readFileSync(journal, 'utf8'), '');
+			mod_fs.unlinkSync(journal);
+			mod_fs.rmdirSync(tmpdir);
+			log.info('abort from data handler, unordered: ok');
+			callback();
+		}, 50);
+	});
+}
+
+function testSignal(_, callback)
+{
+	var controller = new AbortController();
+	var cs = makeStream({ 'signal': controller.signal });
+	var barrier = mod_vasync.barrier();
+
+	barrier.start('abort');
+	cs.on('abort', function (reason) {
+		mod_assert.equal(reason, 'cancelled by caller');
+		checkAborted();
+		barrier.done('abort');
+	});
+
+	barrier.start('collect');
+	cs.collect().then(function () {
+		callback(new Error('collect() resolved after abort'));
+	}, function (err) {
+		mod_assert.equal(err, 'cancelled by caller');
+		barrier.done('collect');
+	});
+
+	barrier.start('for await');
+	consume(cs, function (err) {
+		mod_assert.equal(err, 'cancelled by caller');
+		barrier.done('for await');
+	});
+
+	barrier.on('drain', function () {
+		log.info('signal: ok');
+		setTimeout(callback, 20);
+	});
+
+	setTimeout(function () {
+		controller.abort('cancelled by caller');
+	}, 10);
+}
+
+function testSignalAborted(_, callback)
+{
+	var controller = new AbortController();
+	var cs;
+
+	controller.abort();
+	cs = makeStream({ 'signal': controller.signal });
+	cs.on('abort', function (reason) {
+		mod_assert.equal(reason.name, 'AbortError');
+		mod_assert.equal(ncalls, 0);
+		log.info('signal already aborted: ok');
+		setTimeout(callback, 20);
+	});
+}
+
+/*
+ * Make sure we stop listening on the signal once the stream is done.
+ */
+function testSignalDetached(_, callback)
+{
+	var controller = new AbortController();
+	var cs;
+
+	cs = new CatStreams({
+	    'log': log,
+	    'perRequestBuffer': 1024,
+	    'maxConcurrency': 3,
+	    'signal': controller.signal
+	});
+	mod_assert.equal(
+	    mod_events.getEventListeners(controller.signal, 'abort').length, 1);
+	cs.cat(function (sopts) {
+		return (new FaultSource(new Buffer(100),
+		    { 'highWaterMark': sopts['highWaterMark'] }));
+	});
+	cs.cat(null);
+	cs.on('abort', function () { throw (new Error('unexpected abort')); });
+	cs.on('end', function () {
+		mod_assert.equal(mod_events.getEventListeners(
+		    controller.signal, 'abort').length, 0);
+		controller.abort();
+		log.info('signal detached: ok');
+		callback();
+	});
+	cs.resume();
+}
@@ -0,0 +1,80 @@
+/*
+ * tst.adaptive.js: check that adaptive concurrency raises the concurrency limit
+ * for a workload of many small, high-latency resources, while staying within
+ * the configured bounds.
+ */
+
+var mod_assert = require('assert');
+var mod_bunyan = require('bunyan');
+
+var CatStreams = require('../lib/catstreams');
+var FaultSource = require('./faultsource');
+var FuzzSource = require('./fuzzsource');
+
+/* test parameters */
+var nstreams = 2000;		/* number of streams */
+var streamSize = 100;		/* size of each stream */
+var latency = 20;		/* time to first byte for each stream */
+var minConcurrency = 2;		/* adaptive lower bound */
+var maxConcurrency = 32;	/* adaptive upper bound */
+
+var log = new mod_bunyan({
+    'name': 'tst.adaptive.js',
+    'level': process.env['LOG_LEVEL'] || 'info',
+    'serializers': {}
+});
+var catstream, bufs, output, changes;
+var nconcurrent = 0;		/* current number of live streams */
+var maxConcurrent = 0;		/* max number of live streams */
+var i;
+
+catstream = new CatStreams({
+    'log': log,
+    'perRequestBuffer': 1024,
+    'maxConcurrency': minConcurrency,
+    'adaptiveConcurrency': {
+	'min': minConcurrency,
+	'max': maxConcurrency,
+	'interval': 50
+    }
+});
+
+bufs = [];
+for (i = 0; i < nstreams; i++) {
+	bufs.push(new FuzzSource(streamSize).rawbuf());
+	(function (j) {
+		catstream.cat(function (options) {
+			var s = new FaultSource(bufs[j], {
+			    'highWaterMark': options['highWaterMark'],
+			    'delay': latency
+			});
+			nconcurrent++;
+			maxConcurrent = Math.max(maxConcurrent, nconcurrent);
+			s.on('end', function () { nconcurrent--; });
+			return (s);
+		});
+	})(i);
+}
+catstream.cat(null);
+
+changes = [];
+catstream.on('concurrency-change', function (change) {
+	mod_assert.ok(change['concurrency'] >= minConcurrency);
+	mod_assert.ok(change['concurrency'] <= maxConcurrency);
+	changes.push(change);
+});
+
+output = [];
+catstream.on('data', function (chunk) { output.push(chunk); });
+catstream.on('end', function () {
+	log.info({
+	    'nchanges': changes.length,
+	    'maxConcurrent': maxConcurrent
+	}, 'done');
+	mod_assert.ok(Buffer.concat(output).equals(Buffer.concat(bufs)),
+	    'content mismatch');
+	mod_assert.ok(changes.length > 0);
+	mod_assert.ok(maxConcurrent > minConcurrency);
+	mod_assert.ok(maxConcurrent <= maxConcurrency);
+	log.info('TEST PASSED');
+});
@@ -0,0 +1,114 @@
+/*
+ * tst.boundaries.js: exercise the data CatStreams can inject at resource
+ * boundaries: separators, trailing newlines, headers, and footers.
+ */
+
+var mod_assert = require('assert');
+var mod_bunyan = require('bunyan');
+var mod_vasync = require('vasync');
+
+var CatStreams = require('../lib/catstreams');
+var FaultSource = require('./faultsource');
+
+var log = new mod_bunyan({
+    'name': 'tst.boundaries.js',
+    'level': process.env['LOG_LEVEL'] || 'info',
+    'serializers': {}
+});
+
+var resources = [
+    { 'name': 'a', 'contents': 'one\ntwo\n' },
+    { 'name': 'b', 'contents': '' },
+    { 'name': 'c', 'contents': 'three' },
+    { 'name': 'd', 'contents': 'four\n' },
+    { 'name': 'e', 'contents': 'five', 'failAfter': 0 }
+];
+
+var test_cases = {
+    'none': {
+	'options': {},
+	'expected': 'one\ntwo\nthreefour\n'
+    },
+
+    'separator': {
+	'options': { 'separator': '--\n' },
+	'expected': 'one\ntwo\n--\nthree--\nfour\n'
+    },
+
+    'ensureNewline': {
+	'options': { 'ensureNewline': true },
+	'expected': 'one\ntwo\nthree\nfour\n'
+    },
+
+    'header_footer': {
+	'options': {
+	    'ensureNewline': true,
+	    'separator': '\n',
+	    'header': function (info) {
+		return ('==> ' + info['metadata']['name'] + ' <==\n');
+	    },
+	    'footer': function (info) {
+		return ('(' + info['index'] + ': ' + info['nbytes'] +
+		    ' bytes)\n');
+	    }
+	},
+	'expected': [
+	    '==> a <==\none\ntwo\n(0: 8 bytes)\n',
+	    '==> b <==\n(1: 0 bytes)\n',
+	    '==> c <==\nthree\n(2: 5 bytes)\n',
+	    '==> d <==\nfour\n(3: 5 bytes)\n'
+	].join('\n')
+    }
+};
+
+mod_vasync.pipeline({
+    'funcs': Object.keys(test_cases).map(function (name) {
+	return (runTestCase.bind(null, name, test_cases[name]));
+    })
+}, function (err) {
+	if (err) {
+		log.fatal(err, 'TEST FAILED');
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+function runTestCase(name, t, _, callback)
+{
+	var stream, output, options, k;
+
+	log.info('test "%s": start', name);
+
+	options = {
+	    'log': log,
+	    'perRequestBuffer': 1024,
+	    'maxConcurrency': 3,
+	    'onResourceError': 'skip'
+	};
+	for (k in t['options'])
+		options[k] = t['options'][k];
+	stream = new CatStreams(options);
+
+	resources.forEach(function (r) {
+		stream.cat(function (sopts) {
+			var fopts = {
+			    'highWaterMark': sopts['highWaterMark'],
+			    'chunkSize': 2
+			};
+			if (r.hasOwnProperty('failAfter'))
+				fopts['failAfter'] = r['failAfter'];
+			return (new FaultSource(new Buffer(r['contents']),
+			    fopts));
+		}, { 'metadata': { 'name': r['name'] } });
+	});
+	stream.cat(null);
+
+	output = '';
+	stream.on('data', function (chunk) { output += chunk.toString(); });
+	stream.on('end', function () {
+		mod_assert.equal(output, t['expected']);
+		log.info('test "%s": passed', name);
+		callback();
+	});
+}
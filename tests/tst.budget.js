@@ -0,0 +1,83 @@
+/*
+ * tst.budget.js: check that CatStreams never reserves more than
+ * "maxBufferedBytes" across all of its concurrent streams, even when the head
+ * of the queue is slow and lots of large resources are queued behind it.
+ */
+
+var mod_assert = require('assert');
+var mod_bunyan = require('bunyan');
+
+var CatStreams = require('../lib/catstreams');
+var FaultSource = require('./faultsource');
+var FuzzSource = require('./fuzzsource');
+
+/* test parameters */
+var nstreams = 40;			/* number of streams */
+var streamSize = 512 * 1024;		/* size of each stream */
+var perRequestBuffer = 256 * 1024;	/* CatStreams request buffer */
+var maxBufferedBytes = 1024 * 1024;	/* CatStreams total buffer */
+var concurrencyLimit = 20;		/* CatStreams concurrency limit */
+
+/* test state */
+var log = new mod_bunyan({
+    'name': 'tst.budget.js',
+    'level': process.env['LOG_LEVEL'] || 'info',
+    'serializers': {}
+});
+var catstream, bufs, output;
+var outstanding = 0;		/* sum of highWaterMarks of live streams */
+var maxOutstanding = 0;		/* max value of "outstanding" */
+var maxConcurrent = 0;		/* max number of live streams */
+var nconcurrent = 0;		/* current number of live streams */
+var i;
+
+catstream = new CatStreams({
+    'log': log,
+    'perRequestBuffer': perRequestBuffer,
+    'maxConcurrency': concurrencyLimit,
+    'maxBufferedBytes': maxBufferedBytes
+});
+
+bufs = [];
+for (i = 0; i < nstreams; i++) {
+	bufs.push(new FuzzSource(streamSize).rawbuf());
+	(function (j) {
+		catstream.cat(function (options) {
+			var s, hiwat;
+
+			hiwat = options['highWaterMark'];
+			mod_assert.ok(hiwat > 0 && hiwat <= perRequestBuffer);
+			outstanding += hiwat;
+			nconcurrent++;
+			maxOutstanding = Math.max(maxOutstanding, outstanding);
+			maxConcurrent = Math.max(maxConcurrent, nconcurrent);
+
+			/* Make the first stream slow to force buffering. */
+			s = new FaultSource(bufs[j], {
+			    'highWaterMark': hiwat,
+			    'chunkSize': 64 * 1024,
+			    'delay': j === 0 ? 50 : 0
+			});
+			s.on('end', function () {
+				outstanding -= hiwat;
+				nconcurrent--;
+			});
+			return (s);
+		});
+	})(i);
+}
+catstream.cat(null);
+
+output = [];
+catstream.on('data', function (chunk) { output.push(chunk); });
+catstream.on('end', function () {
+	log.info({
+	    'maxOutstanding': maxOutstanding,
+	    'maxConcurrent': maxConcurrent
+	}, 'done');
+	mod_assert.ok(Buffer.concat(output).equals(Buffer.concat(bufs)),
+	    'content mismatch');
+	mod_assert.ok(maxOutstanding <= maxBufferedBytes);
+	mod_assert.ok(maxConcurrent < concurrencyLimit);
+	log.info('TEST PASSED');
+});
@@ -0,0 +1,348 @@
+/*
+ * tst.checkpoint.js: exercise the "checkpoint" and "resumeFrom" options for
+ * resuming an interrupted concatenation.
+ */
+
+var mod_assert = require('assert');
+var mod_bunyan = require('bunyan');
+var mod_fs = require('fs');
+var mod_os = require('os');
+var mod_path = require('path');
+var mod_vasync = require('vasync');
+
+var CatStreams = require('../lib/catstreams');
+var FaultSource = require('./faultsource');
+var FuzzSource = require('./fuzzsource');
+
+var log = new mod_bunyan({
+    'name': 'tst.checkpoint.js',
+    'level': process.env['LOG_LEVEL'] || 'info',
+    'serializers': {}
+});
+
+var sizes = [ 3000, 0, 5000, 700, 2000 ];
+var bufs = sizes.map(function (size) {
+	return (new FuzzSource(size).rawbuf());
+});
+
+var tmpdir = mod_fs.mkdtempSync(
+    mod_path.join(mod_os.tmpdir(), 'tst.checkpoint.'));
+var journal = mod_path.join(tmpdir, 'journal');
+
+/*
+ * Each test case first runs to completion (or until it's interrupted) with a
+ * fresh journal, and then resumes from the output it got, truncated to
+ * "resumeFrom" bytes (or all of it, if that's not given).  "resumed" lists the
+ * resources that must be fetched again.  "cancel" is a resource to cancel
+ * while it's still queued, and "omit" lists the resources that are missing
+ * from the output.
+ */
+var test_cases = [ {
+    'name': 'complete run',
+    'resumed': []
+}, {
+    'name': 'resume from nothing',
+    'resumeFrom': 0,
+    'resumed': [ 0, 1, 2, 3, 4 ]
+}, {
+    'name': 'resume partway through a resource',
+    'resumeFrom': 5000,
+    'resumed': [ 2, 3, 4 ]
+}, {
+    'name': 'resume at the end of a resource',
+    'resumeFrom': 8000,
+    'resumed': [ 3, 4 ]
+}, {
+    'name': 'resume after an empty resource',
+    'resumeFrom': 3000,
+    'resumed': [ 2, 3, 4 ]
+}, {
+    'name': 'resume with a separator',
+    'separator': '\n',
+    'resumeFrom': 3002,
+    'resumed': [ 2, 3, 4 ]
+}, {
+    'name': 'resume after a failure',
+    'failAt': 3,
+    'resumed': [ 3, 4 ]
+}, {
+    'name': 'resource cancelled while queued',
+    'cancel': 2,
+    'omit': [ 2 ],
+    'resumed': []
+}, {
+    'name': 'resume after a resource cancelled while queued',
+    'cancel': 2,
+    'omit': [ 2 ],
+    'resumeFrom': 3700,
+    'resumed': [ 4 ]
+}, {
+    'name': 'resource fails with "collect"',
+    'store': true,
+    'onResourceError': 'collect',
+    'failAt': 3,
+    'failAfter': 0,
+    'omit': [ 3 ],
+    'resumed': []
+}, {
+    'name': 'CSV join',
+    'join': 'csv',
+    'inputs': [ 'id\n1\n', 'id\n2\n', 'id\n3\n' ],
+    'resumeFrom': 6,
+    'resumed': [ 1, 2 ]
+}, {
+    'name': 'custom store',
+    'store': true,
+    'resumeFrom': 8300,
+    'resumed': [ 3, 4 ]
+}, {
+    'name': 'store fails',
+    'store': true,
+    'storeFails': true,
+    'error': /^recording checkpoint: journal full$/
+} ];
+
+mod_vasync.forEachPipeline({
+    'inputs': test_cases,
+    'func': runTestCase
+}, function (err) {
+	mod_fs.readdirSync(tmpdir).forEach(function (name) {
+		mod_fs.unlinkSync(mod_path.join(tmpdir, name));
+	});
+	mod_fs.rmdirSync(tmpdir);
+
+	if (err) {
+		log.fatal(err, 'TEST FAILED');
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+function runTestCase(tc, callback)
+{
+	var inputs, expected, store;
+
+	inputs = tc['inputs'] ? tc['inputs'].map(function (str) {
+		return (Buffer.from(str));
+	}) : bufs;
+	expected = tc['join'] == 'csv' ? Buffer.from('id\n1\n2\n3\n') :
+	    Buffer.from(inputs.filter(function (buf, i) {
+		return (buf.length > 0 && !omitted(tc, i));
+	    }).map(function (buf) {
+		return (buf.toString('binary'));
+	    }).join(tc['separator'] || ''), 'binary');
+
+	if (tc['store']) {
+		store = new MemoryCheckpoint(tc['storeFails']);
+	} else {
+		store = journal;
+		if (mod_fs.existsSync(journal))
+			mod_fs.unlinkSync(journal);
+	}
+
+	runOnce(tc, inputs, store, undefined, function (err, first) {
+		var resumeFrom;
+
+		/* The store is closed however the stream finishes. */
+		if (tc['store'])
+			mod_assert.ok(store.mc_closed, 'store was not closed');
+
+		if (tc['error'] !== undefined) {
+			mod_assert.ok(err, 'expected error');
+			mod_assert.ok(tc['error'].test(err.message),
+			    err.message);
+			log.info('%s: ok', tc['name']);
+			callback();
+			return;
+		}
+
+		if (tc['failAt'] !== undefined) {
+			mod_assert.ok(err, 'expected error');
+			mod_assert.ok(expected.slice(0,
+			    first['output'].length).equals(first['output']));
+		} else {
+			mod_assert.ok(!err, err && err.message);
+			mod_assert.ok(first['output'].equals(expected));
+			mod_assert.deepEqual(first['fetched'],
+			    inputs.map(function (_, i) {
+				return (i);
+			    }).filter(function (i) {
+				return (!omitted(tc, i));
+			    }));
+			checkJournal(tc, store, expected.length);
+		}
+
+		resumeFrom = tc['resumeFrom'] !== undefined ?
+		    tc['resumeFrom'] : first['output'].length;
+		runOnce(tc, inputs, store, resumeFrom, function (err2, second) {
+			var output;
+
+			if (err2) {
+				callback(err2);
+				return;
+			}
+
+			/*
+			 * The first run's output, truncated to resumeOffset(),
+			 * followed by the second run's, is the whole thing.
+			 */
+			mod_assert.ok(second['offset'] <= resumeFrom);
+			mod_assert.deepEqual(second['fetched'], tc['resumed']);
+			output = Buffer.concat([
+			    first['output'].slice(0, second['offset']),
+			    second['output'] ]);
+			mod_assert.ok(output.equals(expected));
+			checkJournal(tc, store, expected.length);
+			log.info('%s: ok', tc['name']);
+			callback();
+		});
+	});
+}
+
+/*
+ * Concatenate "inputs" with checkpoint store "store", resuming from
+ * "resumeFrom" if that's defined.  "callback" is invoked with any error and an
+ * object describing the output, the resumeOffset(), and which resources were
+ * fetched.
+ */
+function runOnce(tc, inputs, store, resumeFrom, callback)
+{
+	var cs, result, handles, chunks, done;
+
+	cs = new CatStreams({
+	    'log': log,
+	    'perRequestBuffer': 1024,
+	    'maxConcurrency': 2,
+	    'separator': tc['separator'],
+	    'join': tc['join'],
+	    'onResourceError': tc['onResourceError'],
+	    'checkpoint': store,
+	    'resumeFrom': resumeFrom
+	});
+
+	result = {
+	    'offset': cs.resumeOffset(),
+	    'fetched': [],
+	    'output': null
+	};
+
+	handles = inputs.map(function (buf, i) {
+		return (cs.cat(function (sopts) {
+			var failAfter = -1;
+
+			if (resumeFrom === undefined && i === tc['failAt'])
+				failAfter = tc['failAfter'] !== undefined ?
+				    tc['failAfter'] : 100;
+			result['fetched'].push(i);
+			return (new FaultSource(buf, {
+			    'highWaterMark': sopts['highWaterMark'],
+			    'chunkSize': 256,
+			    'failAfter': failAfter
+			}));
+		}));
+	});
+	cs.cat(null);
+
+	/*
+	 * With only two resources fetched at a time, this one hasn't been
+	 * started yet.  When resuming, it's already been recorded as finished.
+	 */
+	if (tc['cancel'] !== undefined) {
+		mod_assert.equal(handles[tc['cancel']].state(),
+		    resumeFrom === undefined ? 'queued' : 'skipped');
+		handles[tc['cancel']].cancel();
+	}
+
+	/*
+	 * Keep whatever was emitted before a failure, as a caller writing to a
+	 * file would.
+	 */
+	chunks = [];
+	done = false;
+	cs.on('data', function (chunk) { chunks.push(chunk); });
+	cs.on('error', function (err) {
+		if (!done) {
+			done = true;
+			result['output'] = Buffer.concat(chunks);
+			callback(err, result);
+		}
+	});
+	cs.on('end', function () {
+		if (!done) {
+			done = true;
+			result['output'] = Buffer.concat(chunks);
+			callback(null, result);
+		}
+	});
+}
+
+/*
+ * Returns whether resource "i" is missing from the output in test case "tc".
+ */
+function omitted(tc, i)
+{
+	return (tc['omit'] !== undefined && tc['omit'].indexOf(i) != -1);
+}
+
+/*
+ * Check that the journal records every resource in order, ending at offset
+ * "size".
+ */
+function checkJournal(tc, store, size)
+{
+	var entries;
+
+	if (typeof (store) == 'string') {
+		entries = mod_fs.readFileSync(store, 'utf8').split('\n');
+		mod_assert.equal(entries.pop(), '');
+		entries = entries.map(function (line) {
+			return (JSON.parse(line));
+		});
+	} else {
+		entries = store.mc_entries;
+	}
+
+	mod_assert.deepEqual(entries.map(function (entry) {
+		return (entry['index']);
+	}), (tc['inputs'] || bufs).map(function (_, i) { return (i); }));
+	entries.slice(1).forEach(function (entry, i) {
+		mod_assert.ok(entry['offset'] >= entries[i]['offset']);
+	});
+	mod_assert.equal(entries[entries.length - 1]['offset'], size);
+}
+
+/*
+ * Checkpoint store that keeps the journal in memory.  If "fails" is true,
+ * recording the second entry fails.
+ */
+function MemoryCheckpoint(fails)
+{
+	this.mc_entries = [];
+	this.mc_fails = fails;
+	this.mc_closed = false;
+}
+
+MemoryCheckpoint.prototype.load = function ()
+{
+	return (this.mc_entries.slice(0));
+};
+
+MemoryCheckpoint.prototype.reset = function (entries)
+{
+	this.mc_entries = entries.slice(0);
+	this.mc_closed = false;
+};
+
+MemoryCheckpoint.prototype.record = function (entry)
+{
+	mod_assert.ok(!this.mc_closed);
+	if (this.mc_fails && this.mc_entries.length == 1)
+		throw (new Error('journal full'));
+	this.mc_entries.push(entry);
+};
+
+MemoryCheckpoint.prototype.close = function ()
+{
+	this.mc_closed = true;
+};
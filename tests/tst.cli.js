@@ -0,0 +1,172 @@
+/*
+ * tst.cli.js: exercise the catstreams command-line tool with local files and
+ * URLs served by a local HTTP server.
+ */
+
+var mod_assert = require('assert');
+var mod_bunyan = require('bunyan');
+var mod_child = require('child_process');
+var mod_fs = require('fs');
+var mod_http = require('http');
+var mod_os = require('os');
+var mod_path = require('path');
+var mod_vasync = require('vasync');
+
+var FuzzSource = require('./fuzzsource');
+
+var log = new mod_bunyan({
+    'name': 'tst.cli.js',
+    'level': process.env['LOG_LEVEL'] || 'info',
+    'serializers': {}
+});
+
+var cmd = mod_path.join(__dirname, '..', 'bin', 'catstreams');
+var tmpdir = mod_fs.mkdtempSync(mod_path.join(mod_os.tmpdir(), 'tst.cli.'));
+var sizes = [ 100 * 1024, 0, 5000, 300 * 1024 ];
+var bufs = sizes.map(function (size) {
+	return (new FuzzSource(size).rawbuf());
+});
+var all = Buffer.concat(bufs);
+var files = bufs.map(function (buf, i) {
+	var path = mod_path.join(tmpdir, 'file' + i);
+	mod_fs.writeFileSync(path, buf);
+	return (path);
+});
+var server, baseurl, nflaky;
+
+/*
+ * Serves "/<n>" from bufs[n], honoring "Range: bytes=<start>-" headers.  The
+ * first request for "/flaky/<n>" is cut off partway through.
+ */
+function handleRequest(req, res)
+{
+	var parts, buf, range, start;
+
+	parts = req.url.split('/');
+	buf = bufs[parseInt(parts[parts.length - 1], 10)];
+	if (buf === undefined) {
+		res.writeHead(404);
+		res.end();
+		return;
+	}
+
+	start = 0;
+	range = /^bytes=(\d+)-$/.exec(req.headers['range'] || '');
+	if (range !== null)
+		start = parseInt(range[1], 10);
+	res.writeHead(range !== null ? 206 : 200,
+	    { 'content-length': buf.length - start });
+
+	if (parts[1] == 'flaky' && nflaky++ === 0) {
+		res.write(buf.slice(start, start + 1000));
+		setTimeout(function () { res.destroy(); }, 50);
+		return;
+	}
+
+	res.end(buf.slice(start));
+}
+
+var test_cases = [ {
+    'name': 'files as arguments',
+    'args': function () { return (files); },
+    'output': all
+}, {
+    'name': 'URLs on stdin, to a file',
+    'args': function () {
+	return ([ '-c', '2', '-b', '4k', '-o',
+	    mod_path.join(tmpdir, 'output') ]);
+    },
+    'stdin': function () {
+	return (bufs.map(function (_, i) {
+		return (baseurl + '/' + i + '\n');
+	}).join(''));
+    },
+    'outputFile': 'output'
+}, {
+    'name': 'retried URL',
+    'args': function () {
+	return ([ '--retries=1', '--progress', files[0],
+	    baseurl + '/flaky/3' ]);
+    },
+    'output': Buffer.concat([ bufs[0], bufs[3] ]),
+    'stderr': /retrying ".*\/flaky\/3" \(attempt 2\)/
+}, {
+    'name': 'truncated URL',
+    'args': function () { return ([ files[0], baseurl + '/flaky/3' ]); },
+    'status': 1,
+    'stderr': /resource 2 \(".*\/flaky\/3"\): response aborted/
+}, {
+    'name': 'missing file',
+    'args': function () {
+	return ([ files[0], mod_path.join(tmpdir, 'nonexistent') ]);
+    },
+    'status': 1,
+    'stderr': /resource 2 \(".*nonexistent"\): ENOENT/
+}, {
+    'name': 'HTTP error',
+    'args': function () { return ([ baseurl + '/7' ]); },
+    'status': 1,
+    'stderr': /resource 1 \(".*\/7"\): unexpected HTTP status 404/
+}, {
+    'name': 'bad option',
+    'args': function () { return ([ '-c', 'many', files[0] ]); },
+    'status': 2,
+    'stderr': /invalid concurrency: "many"/
+} ];
+
+server = mod_http.createServer(handleRequest);
+server.listen(0, '127.0.0.1', function () {
+	baseurl = 'http://127.0.0.1:' + server.address().port;
+	mod_vasync.forEachPipeline({
+	    'inputs': test_cases,
+	    'func': runTestCase
+	}, function (err) {
+		server.close();
+		mod_fs.readdirSync(tmpdir).forEach(function (name) {
+			mod_fs.unlinkSync(mod_path.join(tmpdir, name));
+		});
+		mod_fs.rmdirSync(tmpdir);
+
+		if (err) {
+			log.fatal(err, 'TEST FAILED');
+			process.exit(1);
+		}
+
+		log.info('TEST PASSED');
+	});
+});
+
+function runTestCase(tc, callback)
+{
+	var child, stdout, stderr;
+
+	nflaky = 0;
+	child = mod_child.spawn(process.execPath, [ cmd ].concat(tc['args']()));
+	stdout = [];
+	stderr = '';
+	child.stdout.on('data', function (chunk) { stdout.push(chunk); });
+	child.stderr.on('data', function (chunk) { stderr += chunk; });
+	child.stdin.end(tc['stdin'] ? tc['stdin']() : '');
+
+	child.on('close', function (status) {
+		var output;
+
+		log.debug({ 'status': status, 'stderr': stderr }, tc['name']);
+		mod_assert.equal(status, tc['status'] || 0, stderr);
+		if (tc['stderr'])
+			mod_assert.ok(tc['stderr'].test(stderr), stderr);
+
+		output = Buffer.concat(stdout);
+		if (tc['outputFile']) {
+			mod_assert.equal(output.length, 0);
+			output = mod_fs.readFileSync(
+			    mod_path.join(tmpdir, tc['outputFile']));
+			mod_assert.ok(output.equals(all));
+		} else if (tc['output']) {
+			mod_assert.ok(output.equals(tc['output']));
+		}
+
+		log.info('%s: ok', tc['name']);
+		callback();
+	});
+}
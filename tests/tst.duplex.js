@@ -0,0 +1,155 @@
+/*
+ * tst.duplex.js: exercise piping a stream of resources through a CatDuplex.
+ */
+
+var mod_assert = require('assert');
+var mod_bunyan = require('bunyan');
+var mod_stream = require('stream');
+var mod_vasync = require('vasync');
+
+var CatStreams = require('../lib/catstreams');
+var FaultSource = require('./faultsource');
+var FuzzSource = require('./fuzzsource');
+
+var CatDuplex = CatStreams.CatDuplex;
+
+var log = new mod_bunyan({
+    'name': 'tst.duplex.js',
+    'level': process.env['LOG_LEVEL'] || 'info',
+    'serializers': {}
+});
+
+var nresources = 40;
+var bufs = [];
+var i;
+
+for (i = 0; i < nresources; i++)
+	bufs.push(new FuzzSource(
+	    2048 + Math.floor(Math.random() * 8000)).rawbuf());
+
+mod_vasync.pipeline({
+    'funcs': [
+	testPipe,
+	testError
+    ]
+}, function (err) {
+	if (err) {
+		log.fatal(err, 'TEST FAILED');
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+/*
+ * Returns an object-mode stream that emits a descriptor for each of "bufs", a
+ * few at a time, like a paginated directory listing would.  The resource at
+ * index "failIndex" fails.
+ */
+function makeListing(failIndex)
+{
+	var listing, j;
+
+	listing = new mod_stream.Readable({
+	    'objectMode': true,
+	    'highWaterMark': 1
+	});
+	j = 0;
+	listing._read = function () {
+		setTimeout(function () {
+			var k, end;
+
+			end = Math.min(j + 5, bufs.length);
+			for (k = j; k < end; k++)
+				listing.push(makeItem(k, k === failIndex));
+			j = end;
+			if (j == bufs.length)
+				listing.push(null);
+		}, 1);
+	};
+	listing.nread = function () { return (j); };
+	return (listing);
+}
+
+function makeItem(j, fail)
+{
+	return ({
+	    'metadata': { 'name': 'resource ' + j },
+	    'func': function (sopts) {
+		return (new FaultSource(bufs[j], {
+		    'highWaterMark': sopts['highWaterMark'],
+		    'chunkSize': 512,
+		    'delay': 1,
+		    'failAfter': fail ? 1024 : -1
+		}));
+	    }
+	});
+}
+
+function testPipe(_, callback)
+{
+	var listing, duplex, output, chunks, maxpending, nended;
+
+	listing = makeListing(-1);
+	duplex = new CatDuplex({
+	    'log': log,
+	    'perRequestBuffer': 1024,
+	    'maxConcurrency': 3,
+	    'maxPending': 5
+	});
+	output = new mod_stream.Writable({ 'highWaterMark': 1024 });
+	chunks = [];
+	maxpending = 0;
+	nended = 0;
+
+	output._write = function (chunk, _2, cb) {
+		chunks.push(chunk);
+		maxpending = Math.max(maxpending, duplex.npending());
+		setTimeout(cb, 1);
+	};
+
+	duplex.on('resource-start', function () {
+		maxpending = Math.max(maxpending, duplex.npending());
+	});
+
+	duplex.on('resource-end', function (info) {
+		mod_assert.equal(info['metadata']['name'],
+		    'resource ' + info['index']);
+		nended++;
+	});
+
+	output.on('finish', function () {
+		mod_assert.ok(Buffer.concat(chunks).equals(
+		    Buffer.concat(bufs)));
+		mod_assert.equal(nended, nresources);
+		mod_assert.equal(duplex.stats()['done'], nresources);
+		mod_assert.ok(maxpending <= 5, 'too many pending resources');
+		log.info({ 'maxpending': maxpending }, 'pipe: ok');
+		callback();
+	});
+
+	listing.pipe(duplex).pipe(output);
+}
+
+function testError(_, callback)
+{
+	var listing, duplex;
+
+	listing = makeListing(3);
+	duplex = new CatDuplex({
+	    'log': log,
+	    'perRequestBuffer': 1024,
+	    'maxConcurrency': 3
+	});
+
+	duplex.on('error', function (err) {
+		mod_assert.equal(err.message,
+		    'resource 3: injected failure after 1024 bytes');
+		mod_assert.ok(listing.nread() < nresources,
+		    'listing was not throttled');
+		log.info('error: ok');
+		callback();
+	});
+
+	listing.pipe(duplex).resume();
+}
@@ -0,0 +1,261 @@
+/*
+ * tst.factories.js: exercise the different styles of function that can be
+ * passed to CatStreams.cat(): ones that return a stream, ones that return a
+ * Promise for a stream, and ones that invoke a callback with a stream.
+ */
+
+var mod_assert = require('assert');
+var mod_bunyan = require('bunyan');
+var mod_vasync = require('vasync');
+var mod_verror = require('verror');
+
+var CatStreams = require('../lib/catstreams');
+var FaultSource = require('./faultsource');
+var FuzzSource = require('./fuzzsource');
+
+var VError = mod_verror.VError;
+
+var log = new mod_bunyan({
+    'name': 'tst.factories.js',
+    'level': process.env['LOG_LEVEL'] || 'info',
+    'serializers': {}
+});
+
+/* test parameters */
+var concurrencyLimit = 2;
+
+/*
+ * Each test case describes a list of resources.  Each resource has a style
+ * ("sync", "promise", or "callback") and a list of behaviors for successive
+ * attempts to create its stream (see makeFunc() below).  "expected" lists the
+ * resources whose contents should appear in the output, and "errors" lists the
+ * indexes of resources that should fail.  "abandoned" is the number of streams
+ * that should be aborted because they took too long to create.
+ */
+var test_cases = {
+    'styles': {
+	'resources': [
+	    { 'style': 'sync', 'attempts': [ 'ok' ] },
+	    { 'style': 'promise', 'attempts': [ 'ok' ] },
+	    { 'style': 'callback', 'attempts': [ 'ok' ] },
+	    { 'style': 'callback', 'attempts': [ 'ok_sync' ] },
+	    { 'style': 'promise', 'attempts': [ 'ok' ] }
+	],
+	'expected': [ 0, 1, 2, 3, 4 ]
+    },
+
+    'setup_errors_retried': {
+	'retries': 3,
+	'resources': [
+	    { 'style': 'promise', 'attempts': [ 'error', 'throw', 'ok' ] },
+	    { 'style': 'sync', 'attempts': [ 'throw', 'bogus', 'ok' ] },
+	    { 'style': 'callback',
+	      'attempts': [ 'error', 'error_sync', 'throw', 'ok' ] }
+	],
+	'expected': [ 0, 1, 2 ]
+    },
+
+    'setup_errors_collected': {
+	'onResourceError': 'collect',
+	'resources': [
+	    { 'style': 'sync', 'attempts': [ 'throw' ] },
+	    { 'style': 'promise', 'attempts': [ 'ok' ] },
+	    { 'style': 'promise', 'attempts': [ 'error' ] },
+	    { 'style': 'callback', 'attempts': [ 'error' ] },
+	    { 'style': 'sync', 'attempts': [ 'bogus' ] }
+	],
+	'expected': [ 1 ],
+	'errors': [ 0, 2, 3, 4 ]
+    },
+
+    'setup_timeout': {
+	'retries': 1,
+	'timeouts': { 'firstByte': 50 },
+	'resources': [
+	    { 'style': 'promise', 'attempts': [ 'slow', 'ok' ] },
+	    { 'style': 'callback', 'attempts': [ 'slow', 'ok' ] }
+	],
+	'expected': [ 0, 1 ],
+	'abandoned': 2
+    }
+};
+
+mod_vasync.pipeline({
+    'funcs': Object.keys(test_cases).map(function (name) {
+	return (runTestCase.bind(null, name, test_cases[name]));
+    })
+}, function (err) {
+	if (err) {
+		log.fatal(err, 'TEST FAILED');
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+/*
+ * Returns a function to pass to cat() that creates a stream for "buf" in the
+ * given style.  Each attempt behaves according to the next element of
+ * "attempts":
+ *
+ *    ok		produce the stream after a short delay (or immediately,
+ *    		for the "sync" style)
+ *
+ *    ok_sync	invoke the callback synchronously ("callback" style only)
+ *
+ *    slow	produce the stream after a long delay
+ *
+ *    error	fail after a short delay
+ *
+ *    error_sync	invoke the callback synchronously with an error
+ *    		("callback" style only)
+ *
+ *    throw	throw an exception
+ *
+ *    bogus	produce something that's not a stream
+ *
+ * "state" keeps track of how many streams are being created concurrently and
+ * how many were abandoned.
+ */
+function makeFunc(buf, style, attempts, state)
+{
+	var nattempts = 0;
+
+	/*
+	 * Invokes "callback(err, stream)" as directed by the next attempt's
+	 * behavior.
+	 */
+	function setup(options, callback) {
+		var behavior = attempts[nattempts++];
+		var delay = behavior == 'slow' ? 200 : 10;
+		var counted = behavior != 'slow';
+		var stream;
+
+		/*
+		 * Slow attempts are expected to be abandoned, at which point
+		 * they no longer count against the concurrency limit.
+		 */
+		if (counted) {
+			state.nsetup++;
+			state.nsetupmax = Math.max(state.nsetupmax,
+			    state.nsetup);
+		}
+
+		function done(err, rv) {
+			if (counted)
+				state.nsetup--;
+			callback(err, rv);
+		}
+
+		if (behavior == 'throw') {
+			state.nsetup--;
+			throw (new Error('injected exception'));
+		}
+
+		if (behavior == 'bogus') {
+			done(null, {});
+			return;
+		}
+
+		if (behavior == 'error_sync') {
+			done(new Error('injected error'));
+			return;
+		}
+
+		stream = new FaultSource(buf.slice(options['offset']),
+		    { 'highWaterMark': options['highWaterMark'] });
+
+		if (behavior == 'ok_sync' || style == 'sync') {
+			done(null, stream);
+			return;
+		}
+
+		if (behavior == 'slow')
+			stream.on('close', function () { state.nabandoned++; });
+
+		setTimeout(function () {
+			if (behavior == 'error')
+				done(new Error('injected error'));
+			else
+				done(null, stream);
+		}, delay);
+	}
+
+	if (style == 'callback')
+		return (setup);
+
+	if (style == 'promise') {
+		return (function (options) {
+			return (new Promise(function (resolve, reject) {
+				setup(options, function (err, stream) {
+					if (err)
+						reject(err);
+					else
+						resolve(stream);
+				});
+			}));
+		});
+	}
+
+	return (function (options) {
+		var rv;
+		setup(options, function (err, stream) {
+			if (err)
+				throw (err);
+			rv = stream;
+		});
+		return (rv);
+	});
+}
+
+function runTestCase(name, t, _, callback)
+{
+	var stream, bufs, output, done, state;
+
+	log.info('test "%s": start', name);
+
+	state = { 'nsetup': 0, 'nsetupmax': 0, 'nabandoned': 0 };
+	stream = new CatStreams({
+	    'log': log,
+	    'perRequestBuffer': 1024,
+	    'maxConcurrency': concurrencyLimit,
+	    'onResourceError': t['onResourceError'],
+	    'timeouts': t['timeouts'],
+	    'retry': { 'retries': t['retries'] || 0, 'minTimeout': 1 }
+	});
+
+	bufs = t['resources'].map(function () {
+		return (new FuzzSource(5000).rawbuf());
+	});
+	t['resources'].forEach(function (r, i) {
+		stream.cat(makeFunc(bufs[i], r['style'], r['attempts'], state));
+	});
+	stream.cat(null);
+
+	output = [];
+	stream.on('data', function (chunk) { output.push(chunk); });
+
+	done = function (err) {
+		var errors = err ? err.errors() : [];
+
+		mod_assert.deepEqual(errors.map(function (e) {
+			return (VError.info(e).index);
+		}), t['errors'] || []);
+		mod_assert.ok(Buffer.concat(output).equals(
+		    Buffer.concat(t['expected'].map(function (i) {
+			return (bufs[i]);
+		    }))), 'content mismatch');
+
+		/* Wait for any abandoned streams to be created and aborted. */
+		setTimeout(function () {
+			mod_assert.equal(state.nabandoned, t['abandoned'] || 0);
+			mod_assert.ok(state.nsetupmax <= concurrencyLimit,
+			    'too many concurrent setups');
+			log.info('test "%s": passed', name);
+			callback();
+		}, 300);
+	};
+
+	stream.on('error', done);
+	stream.on('end', done.bind(null, null));
+}
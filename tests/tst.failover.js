@@ -0,0 +1,188 @@
+/*
+ * tst.failover.js: exercise falling over between alternative sources for a
+ * resource.
+ */
+
+var mod_assert = require('assert');
+var mod_bunyan = require('bunyan');
+var mod_vasync = require('vasync');
+var mod_verror = require('verror');
+
+var CatStreams = require('../lib/catstreams');
+var FaultSource = require('./faultsource');
+var FuzzSource = require('./fuzzsource');
+
+var VError = mod_verror.VError;
+
+var log = new mod_bunyan({
+    'name': 'tst.failover.js',
+    'level': process.env['LOG_LEVEL'] || 'info',
+    'serializers': {}
+});
+
+var sizes = [ 3000, 10000, 2000 ];
+var bufs = sizes.map(function (size) {
+	return (new FuzzSource(size).rawbuf());
+});
+var all = Buffer.concat(bufs);
+
+/*
+ * In each test case, "sources" describes the alternative sources for resource
+ * 1.  Each one gives the FaultSource options for each stream created from that
+ * source, in order, and whether the source is "resumable".  "used" lists the
+ * source and offset of each stream that must be created.
+ */
+var test_cases = [ {
+    'name': 'first source fails before any data',
+    'sources': [ { 'copies': [ { 'failAfter': 0 } ] }, {} ],
+    'used': [ [ 0, 0 ], [ 1, 0 ] ]
+}, {
+    'name': 'first source fails partway through',
+    'sources': [ { 'copies': [ { 'failAfter': 4096 } ] }, {} ],
+    'used': [ [ 0, 0 ], [ 1, 4096 ] ]
+}, {
+    'name': 'source that cannot resume is skipped',
+    'sources': [ { 'copies': [ { 'failAfter': 4096 } ] },
+	{ 'resumable': false }, {} ],
+    'used': [ [ 0, 0 ], [ 2, 4096 ] ]
+}, {
+    'name': 'source that cannot resume used from the start',
+    'sources': [ { 'copies': [ { 'failAfter': 0 } ] },
+	{ 'resumable': false } ],
+    'used': [ [ 0, 0 ], [ 1, 0 ] ]
+}, {
+    'name': 'function fails for a source',
+    'sources': [ { 'throws': true }, { 'copies': [ { 'failAfter': 2048 } ] },
+	{} ],
+    'used': [ [ 0, 0 ], [ 1, 0 ], [ 2, 2048 ] ]
+}, {
+    'name': 'retry after every source fails',
+    'retries': 1,
+    'sources': [ { 'copies': [ { 'failAfter': 0 } ] },
+	{ 'copies': [ { 'failAfter': 1024 }, {} ] } ],
+    'used': [ [ 0, 0 ], [ 1, 0 ], [ 1, 1024 ] ]
+}, {
+    'name': 'every source fails',
+    'sources': [ { 'copies': [ { 'failAfter': 0 } ] }, { 'throws': true },
+	{ 'copies': [ { 'failAfter': 1024 } ] } ],
+    'used': [ [ 0, 0 ], [ 1, 0 ], [ 2, 0 ] ],
+    'error': /^resource 1: first of 3 errors: source 0: injected failure/
+}, {
+    'name': 'ranged resource',
+    'ranged': true,
+    'sources': [ { 'copies': [ { 'failAfter': 1000 } ] }, {} ],
+    'used': [ [ 0, 0 ], [ 0, 4096 ], [ 0, 8192 ], [ 1, 1000 ] ]
+} ];
+
+mod_vasync.forEachPipeline({
+    'inputs': test_cases,
+    'func': runTestCase
+}, function (err) {
+	if (err) {
+		log.fatal(err, 'TEST FAILED');
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+function runTestCase(tc, callback)
+{
+	var cs, used, started, sources;
+
+	cs = new CatStreams({
+	    'log': log,
+	    'perRequestBuffer': 1024,
+	    'maxConcurrency': 2,
+	    'retry': { 'retries': tc['retries'] || 0, 'minTimeout': 1 }
+	});
+
+	used = [];
+	started = [];
+	cs.on('resource-start', function (info) {
+		if (info['index'] == 1)
+			started.push(info['source']);
+	});
+
+	sources = tc['sources'].map(function (source, j) {
+		var ncopies = 0;
+		var func = function (sopts) {
+			var offset, copies, options;
+
+			offset = sopts['start'] !== undefined ?
+			    sopts['start'] : sopts['offset'];
+			used.push([ j, offset ]);
+			if (source['throws'])
+				throw (new Error('no such replica'));
+
+			options = { 'highWaterMark': sopts['highWaterMark'] };
+			copies = source['copies'] || [];
+			if (ncopies < copies.length &&
+			    copies[ncopies]['failAfter'] !== undefined)
+				options['failAfter'] =
+				    copies[ncopies]['failAfter'];
+			ncopies++;
+
+			return (new FaultSource(bufs[1].slice(offset,
+			    sopts['end'] !== undefined ?
+			    sopts['end'] + 1 : undefined), options));
+		};
+
+		return (source['resumable'] === false ?
+		    { 'func': func, 'resumable': false } : func);
+	});
+
+	bufs.forEach(function (buf, i) {
+		if (i != 1) {
+			cs.cat(function (sopts) {
+				return (new FaultSource(buf.slice(
+				    sopts['offset'])));
+			});
+		} else if (tc['ranged']) {
+			cs.catRanged(buf.length, sources,
+			    { 'segmentSize': 4096 });
+		} else {
+			cs.cat(sources);
+		}
+	});
+	cs.cat(null);
+
+	cs.collect().then(function (output) {
+		mod_assert.ok(tc['error'] === undefined, 'expected error');
+		mod_assert.ok(output.equals(all));
+		mod_assert.deepEqual(started, used.map(function (u) {
+			return (u[0]);
+		}));
+
+		/*
+		 * Each segment of a ranged resource falls over separately, and
+		 * segments are fetched concurrently.
+		 */
+		if (tc['ranged'])
+			used.sort(function (a, b) {
+				return (a[0] - b[0] || a[1] - b[1]);
+			});
+		mod_assert.deepEqual(used, tc['used']);
+		log.info('%s: ok', tc['name']);
+		callback();
+	}).catch(function (err) {
+		var errors;
+
+		if (tc['error'] === undefined ||
+		    !tc['error'].test(err.message)) {
+			callback(err);
+			return;
+		}
+
+		/* The error lists what went wrong with every source. */
+		mod_assert.deepEqual(used, tc['used']);
+		errors = VError.cause(err).errors();
+		mod_assert.deepEqual(errors.map(function (e) {
+			return (VError.info(e)['source']);
+		}), [ 0, 1, 2 ]);
+		mod_assert.equal(VError.cause(errors[1]).message,
+		    'no such replica');
+		log.info('%s: ok', tc['name']);
+		callback();
+	});
+}
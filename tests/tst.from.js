@@ -0,0 +1,220 @@
+/*
+ * tst.from.js: exercise CatStreams.from() and the Promise and async iterator
+ * interfaces for consuming a CatStreams.
+ */
+
+var mod_assert = require('assert');
+var mod_bunyan = require('bunyan');
+var mod_vasync = require('vasync');
+
+var CatStreams = require('../lib/catstreams');
+var FaultSource = require('./faultsource');
+var FuzzSource = require('./fuzzsource');
+
+var log = new mod_bunyan({
+    'name': 'tst.from.js',
+    'level': process.env['LOG_LEVEL'] || 'info',
+    'serializers': {}
+});
+
+var options = {
+    'log': log,
+    'perRequestBuffer': 1024,
+    'maxConcurrency': 3
+};
+
+var bufs = [];
+var sources = [];
+var i;
+
+for (i = 0; i < 10; i++)
+	bufs.push(new FuzzSource(Math.floor(Math.random() * 10000)).rawbuf());
+
+mod_vasync.pipeline({
+    'funcs': [
+	testArray,
+	testIterator,
+	testAsyncIterable,
+	testAsyncIterableError,
+	testForAwait,
+	testForAwaitBreak
+    ]
+}, function (err) {
+	if (err) {
+		log.fatal(err, 'TEST FAILED');
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+/*
+ * Returns a function for cat() that emits bufs[j].
+ */
+function makeFunc(j)
+{
+	return (function (sopts) {
+		sources[j] = new FaultSource(bufs[j],
+		    { 'highWaterMark': sopts['highWaterMark'] });
+		return (sources[j]);
+	});
+}
+
+function testArray(_, callback)
+{
+	var items;
+
+	/* Mix bare functions and descriptors with options for cat(). */
+	items = bufs.map(function (_2, j) {
+		if (j % 2 === 0)
+			return (makeFunc(j));
+		return ({ 'func': makeFunc(j), 'size': bufs[j].length });
+	});
+
+	CatStreams.from(items, options).toBuffer().then(function (buf) {
+		mod_assert.ok(buf.equals(Buffer.concat(bufs)));
+		log.info('array: ok');
+		callback();
+	}).catch(callback);
+}
+
+function testIterator(_, callback)
+{
+	var iterable = {};
+
+	iterable[Symbol.iterator] = function () {
+		var j = 0;
+		return ({
+		    'next': function () {
+			if (j == bufs.length)
+				return ({ 'done': true });
+			return ({ 'done': false, 'value': makeFunc(j++) });
+		    }
+		});
+	};
+
+	CatStreams.from(iterable, options).collect().then(function (buf) {
+		mod_assert.ok(buf.equals(Buffer.concat(bufs)));
+		log.info('iterator: ok');
+		callback();
+	}).catch(callback);
+}
+
+/*
+ * Returns an async iterable that produces functions for each element of
+ * "bufs", failing with "err" after "failAfter" of them if specified.
+ */
+function makeAsyncIterable(failAfter, err)
+{
+	var iterable = {};
+
+	iterable[Symbol.asyncIterator] = function () {
+		var j = 0;
+		return ({
+		    'next': function () {
+			return (new Promise(function (resolve, reject) {
+				setTimeout(function () {
+					if (j === failAfter)
+						reject(err);
+					else if (j == bufs.length)
+						resolve({ 'done': true });
+					else
+						resolve({
+						    'done': false,
+						    'value': makeFunc(j++)
+						});
+				}, 1);
+			}));
+		    }
+		});
+	};
+
+	return (iterable);
+}
+
+function testAsyncIterable(_, callback)
+{
+	CatStreams.from(makeAsyncIterable(), options).collect().then(
+	    function (buf) {
+		mod_assert.ok(buf.equals(Buffer.concat(bufs)));
+		log.info('async iterable: ok');
+		callback();
+	}).catch(callback);
+}
+
+function testAsyncIterableError(_, callback)
+{
+	var err = new Error('injected listing failure');
+
+	CatStreams.from(makeAsyncIterable(5, err), options).collect().then(
+	    function () {
+		callback(new Error('expected failure'));
+	}, function (err2) {
+		mod_assert.equal(err2.message,
+		    'iterating resources: injected listing failure');
+		log.info('async iterable error: ok');
+		callback();
+	}).catch(callback);
+}
+
+/*
+ * Consume a CatStreams with its async iterator, as "for await" would.
+ */
+function testForAwait(_, callback)
+{
+	var stream, iter, chunks;
+
+	stream = CatStreams.from(bufs.map(function (_2, j) {
+		return (makeFunc(j));
+	}), options);
+	iter = stream[Symbol.asyncIterator]();
+	chunks = [];
+
+	function next() {
+		iter.next().then(function (result) {
+			if (result.done) {
+				mod_assert.ok(Buffer.concat(chunks).equals(
+				    Buffer.concat(bufs)));
+				log.info('for await: ok');
+				callback();
+				return;
+			}
+
+			chunks.push(result.value);
+			next();
+		}).catch(callback);
+	}
+
+	next();
+}
+
+/*
+ * Stop consuming partway through, as "break" inside "for await" would, and
+ * make sure the underlying streams are cleaned up.
+ */
+function testForAwaitBreak(_, callback)
+{
+	var stream, iter;
+
+	sources = [];
+	stream = CatStreams.from(bufs.map(function (_2, j) {
+		return (makeFunc(j));
+	}), options);
+	iter = stream[Symbol.asyncIterator]();
+
+	stream.once('resource-end', function () {
+		iter.return().then(function () {
+			setTimeout(function () {
+				var live = sources.filter(function (s) {
+					return (!s.destroyed &&
+					    !s._readableState.ended);
+				});
+				mod_assert.equal(live.length, 0);
+				log.info('for await break: ok');
+				callback();
+			}, 10);
+		}).catch(callback);
+	});
+
+	iter.next();
+}
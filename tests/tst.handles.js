@@ -0,0 +1,138 @@
+/*
+ * tst.handles.js: exercise the handles returned by cat(), including
+ * cancelling resources in various states.
+ */
+
+var mod_assert = require('assert');
+var mod_bunyan = require('bunyan');
+
+var CatStreams = require('../lib/catstreams');
+var FaultSource = require('./faultsource');
+var FuzzSource = require('./fuzzsource');
+
+var log = new mod_bunyan({
+    'name': 'tst.handles.js',
+    'level': process.env['LOG_LEVEL'] || 'info',
+    'serializers': {}
+});
+
+/*
+ * Resources:
+ *
+ *    0, 1	emitted normally, though 0 is slow
+ *    2		cancelled once it's buffered behind 0
+ *    3		hangs after emitting some data, then cancelled while piping
+ *    4		emitted normally
+ *    5		cancelled while still queued
+ */
+var nresources = 6;
+var bufs = [];
+var sources = [];
+var handles = [];
+var states = {};
+var cs, i, chunks, started;
+
+for (i = 0; i < nresources; i++)
+	bufs.push(new FuzzSource(5000).rawbuf());
+
+cs = new CatStreams({
+    'log': log,
+    'perRequestBuffer': 8192,
+    'maxConcurrency': 3
+});
+
+started = [];
+for (i = 0; i < nresources; i++)
+	handles.push(cs.cat(makeFunc(i)));
+cs.cat(null);
+
+handles.forEach(function (h, j) {
+	mod_assert.equal(h.index, j);
+	mod_assert.equal(h.state(), 'queued');
+	mod_assert.equal(h.nbytes(), 0);
+});
+
+mod_assert.ok(handles[5].cancel());
+mod_assert.equal(handles[5].state(), 'cancelled');
+mod_assert.ok(!handles[5].cancel());
+
+function makeFunc(j)
+{
+	return (function (sopts) {
+		started.push(j);
+		sources[j] = new FaultSource(bufs[j], {
+		    'highWaterMark': sopts['highWaterMark'],
+		    'delay': j === 0 ? 10 : 1,
+		    'hangAfter': j === 3 ? 2048 : -1
+		});
+		return (sources[j]);
+	});
+}
+
+cs.on('resource-start', function (info) {
+	states[info['index']] = handles[info['index']].state();
+});
+
+cs.on('resource-first-byte', function (info) {
+	if (info['index'] == 2) {
+		setTimeout(function () {
+			mod_assert.equal(handles[2].state(), 'buffered');
+			mod_assert.equal(handles[0].state(), 'piping');
+			mod_assert.ok(handles[2].cancel());
+			mod_assert.equal(handles[2].state(), 'cancelled');
+			mod_assert.ok(sources[2].destroyed);
+		}, 20);
+	}
+
+	if (info['index'] == 3) {
+		waitForHang();
+	}
+});
+
+/*
+ * Wait for resource 3 to emit all it's going to, then cancel it.
+ */
+function waitForHang()
+{
+	if (handles[3].nbytes() < 2048) {
+		setTimeout(waitForHang, 10);
+		return;
+	}
+
+	mod_assert.equal(handles[3].state(), 'piping');
+	mod_assert.ok(handles[3].cancel());
+	mod_assert.ok(sources[3].destroyed);
+}
+
+cs.on('resource-end', function (info) {
+	mod_assert.equal(handles[info['index']].state(), 'done');
+	mod_assert.equal(handles[info['index']].nbytes(), 5000);
+});
+
+chunks = [];
+cs.on('data', function (chunk) { chunks.push(chunk); });
+cs.on('end', function () {
+	var stats;
+
+	mod_assert.ok(Buffer.concat(chunks).equals(Buffer.concat([
+	    bufs[0], bufs[1], bufs[3].slice(0, 2048), bufs[4] ])));
+	mod_assert.deepEqual(started, [ 0, 1, 2, 3, 4 ]);
+	mod_assert.deepEqual(states, {
+	    '0': 'fetching',
+	    '1': 'fetching',
+	    '2': 'fetching',
+	    '3': 'fetching',
+	    '4': 'fetching'
+	});
+	mod_assert.ok(!handles[0].cancel());
+	mod_assert.equal(handles[0].state(), 'done');
+	mod_assert.equal(handles[3].state(), 'cancelled');
+	mod_assert.equal(handles[3].nbytes(), 2048);
+
+	stats = cs.stats();
+	mod_assert.equal(stats['done'], 3);
+	mod_assert.equal(stats['failed'], 0);
+	mod_assert.equal(stats['cancelled'], 3);
+	mod_assert.equal(stats['queued'], 0);
+	log.info('TEST PASSED');
+});
@@ -0,0 +1,134 @@
+/*
+ * tst.hedge.js: exercise hedging slow resources at the head of the queue.
+ */
+
+var mod_assert = require('assert');
+var mod_bunyan = require('bunyan');
+var mod_vasync = require('vasync');
+
+var CatStreams = require('../lib/catstreams');
+var FaultSource = require('./faultsource');
+var FuzzSource = require('./fuzzsource');
+
+var log = new mod_bunyan({
+    'name': 'tst.hedge.js',
+    'level': process.env['LOG_LEVEL'] || 'info',
+    'serializers': {}
+});
+
+var sizes = [ 5000, 3000, 8000, 1000, 16 * 1024, 2000 ];
+var bufs = sizes.map(function (size) {
+	return (new FuzzSource(size).rawbuf());
+});
+var all = Buffer.concat(bufs);
+
+/*
+ * In each test case, "copies" describes the FaultSource options for each
+ * stream created for resource 4, in order.  "won" says whether the second copy
+ * is expected to win.
+ */
+var test_cases = [ {
+    'name': 'no data from the original',
+    'copies': [ { 'hangAfter': 0 }, {} ],
+    'hedged': 1,
+    'won': true
+}, {
+    'name': 'original has data first',
+    'copies': [ { 'delay': 100 }, { 'delay': 1000 } ],
+    'hedged': 1,
+    'won': false
+}, {
+    'name': 'original is slow while being emitted',
+    'copies': [ { 'delay': 20, 'chunkSize': 64 }, { 'delay': 30 } ],
+    'hedged': 1,
+    'won': true
+}, {
+    'name': 'second copy fails',
+    'copies': [ { 'delay': 150 }, { 'failAfter': 0 } ],
+    'hedged': 1,
+    'won': false
+}, {
+    'name': 'second copy with no data',
+    'copies': [ { 'delay': 150 }, { 'hangAfter': 0 } ],
+    'hedged': 1,
+    'won': false
+}, {
+    'name': 'nothing slow',
+    'copies': [ {} ],
+    'hedged': 0,
+    'won': false
+} ];
+
+mod_vasync.forEachPipeline({
+    'inputs': test_cases,
+    'func': runTestCase
+}, function (err) {
+	if (err) {
+		log.fatal(err, 'TEST FAILED');
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+function runTestCase(tc, callback)
+{
+	var cs, sources, offsets;
+
+	cs = new CatStreams({
+	    'log': log,
+	    'perRequestBuffer': 1024,
+	    'maxConcurrency': 2,
+	    'hedge': { 'delay': 50 }
+	});
+
+	sources = [];
+	offsets = [];
+	bufs.forEach(function (buf, i) {
+		cs.cat(function (sopts) {
+			var options, copy, source;
+
+			options = { 'highWaterMark': sopts['highWaterMark'] };
+			if (i == 4) {
+				offsets.push(sopts['offset']);
+				copy = tc['copies'][sources.length];
+				Object.keys(copy).forEach(function (k) {
+					options[k] = copy[k];
+				});
+			}
+
+			source = new FaultSource(buf.slice(sopts['offset']),
+			    options);
+			if (i == 4)
+				sources.push(source);
+			return (source);
+		});
+	});
+	cs.cat(null);
+
+	cs.collect().then(function (output) {
+		var stats = cs.stats();
+
+		mod_assert.ok(output.equals(all));
+		mod_assert.equal(sources.length, tc['copies'].length);
+		mod_assert.equal(stats['hedged'], tc['hedged']);
+		mod_assert.equal(stats['hedgesWon'], tc['won'] ? 1 : 0);
+
+		/* The copy that lost was aborted. */
+		if (tc['hedged'] > 0)
+			mod_assert.ok(sources[tc['won'] ? 0 : 1].destroyed);
+
+		/*
+		 * A copy started while the original was being emitted picks up
+		 * from where the original was.
+		 */
+		mod_assert.equal(offsets[0], 0);
+		if (tc['copies'][0]['chunkSize'] !== undefined)
+			mod_assert.ok(offsets[1] > 0);
+		else if (offsets.length > 1)
+			mod_assert.equal(offsets[1], 0);
+
+		log.info(stats, '%s: ok', tc['name']);
+		callback();
+	}).catch(callback);
+}
@@ -0,0 +1,175 @@
+/*
+ * tst.integrity.js: exercise CatStreams's verification of each resource's size
+ * and digest.
+ */
+
+var mod_assert = require('assert');
+var mod_bunyan = require('bunyan');
+var mod_crypto = require('crypto');
+var mod_vasync = require('vasync');
+var mod_verror = require('verror');
+
+var CatStreams = require('../lib/catstreams');
+var FaultSource = require('./faultsource');
+var FuzzSource = require('./fuzzsource');
+
+var VError = mod_verror.VError;
+
+var log = new mod_bunyan({
+    'name': 'tst.integrity.js',
+    'level': process.env['LOG_LEVEL'] || 'info',
+    'serializers': {}
+});
+
+/*
+ * Each test case describes a list of resources.  Each resource has an actual
+ * size and a function that returns the options to pass to cat() given the
+ * resource's actual contents.
+ */
+var test_cases = {
+    'match': {
+	'resources': [ {
+	    'size': 5000,
+	    'expect': function (buf) {
+		return ({ 'size': buf.length, 'md5': digest('md5', buf) });
+	    }
+	}, {
+	    'size': 0,
+	    'expect': function (buf) {
+		return ({
+		    'size': 0,
+		    'sha1': digest('sha1', buf, 'hex').toUpperCase()
+		});
+	    }
+	}, {
+	    'size': 7000,
+	    'expect': function (buf) {
+		return ({ 'sha256': digest('sha256', buf, 'hex') });
+	    }
+	} ],
+	'expected': [ 0, 1, 2 ]
+    },
+
+    'truncated': {
+	'resources': [ {
+	    'size': 5000,
+	    'expect': function (buf) { return ({ 'size': buf.length }); }
+	}, {
+	    'size': 5000,
+	    'expect': function (buf) { return ({ 'size': 6000 }); }
+	}, {
+	    'size': 5000,
+	    'expect': function (buf) { return ({ 'size': buf.length }); }
+	} ],
+	'check': function (err, output, bufs) {
+		mod_assert.equal(err.message, 'resource 1: size mismatch ' +
+		    '(expected 6000 bytes, got 5000)');
+		mod_assert.equal(VError.info(err).index, 1);
+
+		/* nothing from the next resource should have been emitted */
+		mod_assert.ok(output.equals(Buffer.concat(bufs.slice(0, 2))));
+	}
+    },
+
+    'oversize': {
+	'resources': [ {
+	    'size': 5000,
+	    'expect': function (buf) { return ({ 'size': 4000 }); }
+	} ],
+	'check': function (err, output) {
+		mod_assert.equal(err.message, 'resource 0: size mismatch ' +
+		    '(expected 4000 bytes, got more)');
+		mod_assert.ok(output.length <= 4000);
+	}
+    },
+
+    'corrupted_skip': {
+	'onResourceError': 'skip',
+	'resources': [ {
+	    'size': 5000,
+	    'expect': function (buf) {
+		return ({ 'md5': digest('md5', new Buffer('junk')) });
+	    }
+	}, {
+	    'size': 5000,
+	    'expect': function (buf) { return ({ 'md5': digest('md5', buf) }); }
+	} ],
+	'nerrors': 1,
+	'expected': [ 0, 1 ]
+    }
+};
+
+mod_vasync.pipeline({
+    'funcs': Object.keys(test_cases).map(function (name) {
+	return (runTestCase.bind(null, name, test_cases[name]));
+    })
+}, function (err) {
+	if (err) {
+		log.fatal(err, 'TEST FAILED');
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+function digest(algorithm, buf, encoding)
+{
+	return (mod_crypto.createHash(algorithm).update(buf).digest(
+	    encoding || 'base64'));
+}
+
+function runTestCase(name, t, _, callback)
+{
+	var stream, bufs, output, nerrors, done;
+
+	log.info('test "%s": start', name);
+
+	stream = new CatStreams({
+	    'log': log,
+	    'perRequestBuffer': 1024,
+	    'maxConcurrency': 3,
+	    'onResourceError': t['onResourceError']
+	});
+
+	bufs = t['resources'].map(function (r) {
+		return (new FuzzSource(r['size']).rawbuf());
+	});
+	t['resources'].forEach(function (r, i) {
+		stream.cat(function (options) {
+			return (new FaultSource(bufs[i], {
+			    'highWaterMark': options['highWaterMark']
+			}));
+		}, r['expect'](bufs[i]));
+	});
+	stream.cat(null);
+
+	nerrors = 0;
+	stream.on('resource-error', function (err) {
+		mod_assert.equal(VError.findCauseByName(err,
+		    'IntegrityError').name, 'IntegrityError');
+		nerrors++;
+	});
+
+	output = [];
+	stream.on('data', function (chunk) { output.push(chunk); });
+
+	done = function (err) {
+		if (t['check']) {
+			mod_assert.ok(err);
+			t['check'](err, Buffer.concat(output), bufs);
+		} else {
+			mod_assert.ifError(err);
+			mod_assert.ok(Buffer.concat(output).equals(
+			    Buffer.concat(t['expected'].map(function (i) {
+				return (bufs[i]);
+			    }))), 'content mismatch');
+			mod_assert.equal(nerrors, t['nerrors'] || 0);
+		}
+
+		log.info('test "%s": passed', name);
+		callback();
+	};
+
+	stream.on('error', done);
+	stream.on('end', done.bind(null, null));
+}
@@ -0,0 +1,160 @@
+/*
+ * tst.join.js: exercise the "join" option for CSV, NDJSON, and JSON arrays.
+ */
+
+var mod_assert = require('assert');
+var mod_bunyan = require('bunyan');
+var mod_vasync = require('vasync');
+
+var CatStreams = require('../lib/catstreams');
+var FaultSource = require('./faultsource');
+
+var log = new mod_bunyan({
+    'name': 'tst.join.js',
+    'level': process.env['LOG_LEVEL'] || 'info',
+    'serializers': {}
+});
+
+var test_cases = [ {
+    'name': 'csv',
+    'join': 'csv',
+    'inputs': [ 'id,name\n1,one\n2,two\n', 'id,name\n3,three', '',
+	'id,name\n', 'id,name', 'id,name\r\n4,four\r\n' ],
+    'output': 'id,name\n1,one\n2,two\n3,three\n4,four\r\n'
+}, {
+    'name': 'csv starting with empty resources',
+    'join': 'csv',
+    'inputs': [ '', 'id,name\n1,one', 'id,name\n2,two\n' ],
+    'output': 'id,name\n1,one\n2,two\n'
+}, {
+    'name': 'csv with retry',
+    'join': 'csv',
+    'inputs': [ 'id,name\n1,one\n', 'id,name\n2,two\n3,three\n' ],
+    'failAfter': 5,
+    'output': 'id,name\n1,one\n2,two\n3,three\n'
+}, {
+    'name': 'ndjson',
+    'join': 'ndjson',
+    'inputs': [ '{"a":1}\n{"a":2}', '', '{"a":3}\n', '{"a":4}' ],
+    'output': '{"a":1}\n{"a":2}\n{"a":3}\n{"a":4}\n'
+}, {
+    'name': 'json-array',
+    'join': 'json-array',
+    'inputs': [ '[1,2]', ' [ ]\n', '[\n {"a":[3]} ,\n "x]" ]\n', '',
+	'[[4,5]]' ],
+    'output': [ 1, 2, { 'a': [ 3 ] }, 'x]', [ 4, 5 ] ]
+}, {
+    'name': 'json-array, all empty',
+    'join': 'json-array',
+    'inputs': [ '[]', '', ' [ ] ' ],
+    'output': []
+}, {
+    'name': 'json-array, ranged',
+    'join': 'json-array',
+    'inputs': [ '["abc", "def"]', '[ "ghi" ]' ],
+    'ranged': true,
+    'output': [ 'abc', 'def', 'ghi' ]
+}, {
+    'name': 'json-array, not an array',
+    'join': 'json-array',
+    'inputs': [ '[1]', '{"a":1}' ],
+    'error': /^resource 1: expected a JSON array \(found "{" at offset 0\)$/
+}, {
+    'name': 'json-array, data after the array',
+    'join': 'json-array',
+    'inputs': [ '[1] 2' ],
+    'error': /^resource 0: expected a JSON array \(data does not end with/
+}, {
+    'name': 'json-array, missing end',
+    'join': 'json-array',
+    'inputs': [ '[1]', '[2, 3' ],
+    'error': /^resource 1: expected a JSON array \(data does not end with/
+}, {
+    'name': 'json-array, data after an empty array',
+    'join': 'json-array',
+    'inputs': [ '[ ] 2' ],
+    'error': /^resource 0: expected a JSON array \(found "2" at offset 4\)$/
+} ];
+
+mod_vasync.forEachPipeline({
+    'inputs': test_cases,
+    'func': runTestCase
+}, function (err) {
+	if (err) {
+		log.fatal(err, 'TEST FAILED');
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+function runTestCase(tc, callback)
+{
+	var cs, failed;
+
+	cs = new CatStreams({
+	    'log': log,
+	    'perRequestBuffer': 16,
+	    'maxConcurrency': 3,
+	    'join': tc['join'],
+	    'retry': { 'retries': 1, 'minTimeout': 1 }
+	});
+
+	/*
+	 * Emit tiny chunks so that headers, brackets, and the like are split
+	 * across chunks.
+	 */
+	failed = false;
+	tc['inputs'].forEach(function (str, i) {
+		var buf = Buffer.from(str);
+		var func = function (sopts) {
+			var failAfter = -1;
+
+			if (i == 1 && tc['failAfter'] !== undefined &&
+			    !failed) {
+				failAfter = tc['failAfter'];
+				failed = true;
+			}
+
+			if (sopts['start'] !== undefined) {
+				buf = Buffer.from(str).slice(sopts['start'],
+				    sopts['end'] + 1);
+			} else {
+				buf = Buffer.from(str).slice(sopts['offset']);
+			}
+
+			return (new FaultSource(buf, {
+			    'chunkSize': 2,
+			    'failAfter': failAfter
+			}));
+		};
+
+		if (tc['ranged'])
+			cs.catRanged(buf.length, func, { 'segmentSize': 3 });
+		else
+			cs.cat(func, { 'size': buf.length });
+	});
+	cs.cat(null);
+
+	cs.collect().then(function (output) {
+		mod_assert.ok(tc['error'] === undefined, 'expected error');
+		output = output.toString();
+		log.debug({ 'output': output }, tc['name']);
+		if (typeof (tc['output']) == 'string')
+			mod_assert.equal(output, tc['output']);
+		else
+			mod_assert.deepEqual(JSON.parse(output), tc['output']);
+		log.info('%s: ok', tc['name']);
+		callback();
+	}).catch(function (err) {
+		if (tc['error'] === undefined ||
+		    !tc['error'].test(err.message)) {
+			callback(err);
+			return;
+		}
+
+		mod_assert.equal(err.cause().name, 'FormatError');
+		log.info('%s: ok', tc['name']);
+		callback();
+	});
+}
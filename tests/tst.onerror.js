@@ -0,0 +1,149 @@
+/*
+ * tst.onerror.js: exercise CatStreams's "onResourceError" policies.
+ */
+
+var mod_assert = require('assert');
+var mod_bunyan = require('bunyan');
+var mod_vasync = require('vasync');
+var mod_verror = require('verror');
+
+var CatStreams = require('../lib/catstreams');
+var FaultSource = require('./faultsource');
+var FuzzSource = require('./fuzzsource');
+
+var VError = mod_verror.VError;
+
+var log = new mod_bunyan({
+    'name': 'tst.onerror.js',
+    'level': process.env['LOG_LEVEL'] || 'info',
+    'serializers': {}
+});
+
+/*
+ * Each test case describes a list of resources, each with a size and
+ * optionally the number of bytes after which it fails.  "expected" lists the
+ * resources whose contents should appear in the output.  "check" is invoked
+ * with the error emitted by the stream (if any) and the list of sources.
+ */
+var test_cases = {
+    'fail': {
+	'onResourceError': 'fail',
+	'resources': [
+	    { 'size': 5000 },
+	    { 'size': 5000, 'failAfter': 2000, 'delay': 10 },
+	    { 'size': 500000 }
+	],
+	'check': function (err, sources) {
+		mod_assert.ok(err);
+		mod_assert.ok(/^resource 1: injected failure/.test(
+		    err.message));
+		mod_assert.equal(VError.info(err).index, 1);
+		mod_assert.ok(sources[2].destroyed,
+		    'in-flight resource was not aborted');
+	}
+    },
+
+    'skip': {
+	'onResourceError': 'skip',
+	'resources': [
+	    { 'size': 5000, 'failAfter': 0 },
+	    { 'size': 5000 },
+	    { 'size': 5000, 'failAfter': 0 },
+	    { 'size': 0 },
+	    { 'size': 5000 }
+	],
+	'expected': [ 1, 3, 4 ],
+	'check': function (err) {
+		mod_assert.ok(!err);
+	}
+    },
+
+    'collect': {
+	'onResourceError': 'collect',
+	'resources': [
+	    { 'size': 5000 },
+	    { 'size': 5000, 'failAfter': 0 },
+	    { 'size': 5000 },
+	    { 'size': 5000, 'failAfter': 0 }
+	],
+	'expected': [ 0, 2 ],
+	'check': function (err) {
+		mod_assert.ok(err);
+		mod_assert.equal(err.name, 'MultiError');
+		mod_assert.deepEqual(err.errors().map(function (e) {
+			return (VError.info(e).index);
+		}), [ 1, 3 ]);
+	}
+    }
+};
+
+mod_vasync.pipeline({
+    'funcs': Object.keys(test_cases).map(function (name) {
+	return (runTestCase.bind(null, name, test_cases[name]));
+    })
+}, function (err) {
+	if (err) {
+		log.fatal(err, 'TEST FAILED');
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+function runTestCase(name, t, _, callback)
+{
+	var stream, bufs, sources, nresourceerrors, done;
+
+	log.info('test "%s": start', name);
+
+	stream = new CatStreams({
+	    'log': log,
+	    'perRequestBuffer': 1024,
+	    'maxConcurrency': 3,
+	    'onResourceError': t['onResourceError']
+	});
+
+	bufs = t['resources'].map(function (r) {
+		return (new FuzzSource(r['size']).rawbuf());
+	});
+	sources = [];
+	t['resources'].forEach(function (r, i) {
+		stream.cat(function (options) {
+			var fopts = {
+			    'highWaterMark': options['highWaterMark']
+			};
+			if (r.hasOwnProperty('failAfter'))
+				fopts['failAfter'] = r['failAfter'];
+			if (r.hasOwnProperty('delay'))
+				fopts['delay'] = r['delay'];
+			sources[i] = new FaultSource(bufs[i], fopts);
+			return (sources[i]);
+		});
+	});
+	stream.cat(null);
+
+	nresourceerrors = 0;
+	stream.on('resource-error', function () { nresourceerrors++; });
+
+	var output = [];
+	stream.on('data', function (chunk) { output.push(chunk); });
+
+	done = function (err) {
+		t['check'](err, sources);
+
+		if (t['expected']) {
+			mod_assert.ok(Buffer.concat(output).equals(
+			    Buffer.concat(t['expected'].map(function (i) {
+				return (bufs[i]);
+			    }))), 'content mismatch');
+			mod_assert.equal(nresourceerrors,
+			    t['resources'].length - t['expected'].length);
+		}
+
+		log.info('test "%s": passed', name);
+		callback();
+	};
+
+	stream.on('error', done);
+	stream.on('end', done.bind(null, null));
+}
@@ -0,0 +1,190 @@
+/*
+ * tst.queued.js: exercise flow control on cat() using maxQueued.
+ */
+
+var mod_assert = require('assert');
+var mod_bunyan = require('bunyan');
+var mod_stream = require('stream');
+var mod_vasync = require('vasync');
+
+var CatStreams = require('../lib/catstreams');
+var FaultSource = require('./faultsource');
+
+var log = new mod_bunyan({
+    'name': 'tst.queued.js',
+    'level': process.env['LOG_LEVEL'] || 'info',
+    'serializers': {}
+});
+
+var nresources = 200;
+var maxqueued = 8;
+var options = {
+    'log': log,
+    'perRequestBuffer': 1024,
+    'maxConcurrency': 4,
+    'maxQueued': maxqueued
+};
+
+mod_vasync.pipeline({
+    'funcs': [
+	testCat,
+	testFrom,
+	testDuplex
+    ]
+}, function (err) {
+	if (err) {
+		log.fatal(err, 'TEST FAILED');
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+/*
+ * Resource "j" consists of the decimal representation of "j" followed by a
+ * newline, emitted after a short delay.
+ */
+function makeFunc(j)
+{
+	return (function (sopts) {
+		return (new FaultSource(new Buffer(j + '\n'), {
+		    'highWaterMark': sopts['highWaterMark'],
+		    'delay': 1
+		}));
+	});
+}
+
+function expected()
+{
+	var lines = [];
+	var j;
+
+	for (j = 0; j < nresources; j++)
+		lines.push(j + '\n');
+	return (lines.join(''));
+}
+
+function testCat(_, callback)
+{
+	var cs, j, nfull, ndrains, maxdepth;
+
+	cs = new CatStreams(options);
+	j = 0;
+	nfull = 0;
+	ndrains = 0;
+	maxdepth = 0;
+
+	function produce() {
+		var handle;
+
+		while (j < nresources) {
+			handle = cs.cat(makeFunc(j++));
+			maxdepth = Math.max(maxdepth, cs.stats()['queued']);
+			mod_assert.equal(handle.full, cs.queueFull());
+			if (handle.full) {
+				mod_assert.equal(cs.stats()['queued'],
+				    maxqueued);
+				nfull++;
+				return;
+			}
+		}
+
+		cs.cat(null);
+	}
+
+	cs.on('queue-drain', function () {
+		ndrains++;
+		mod_assert.ok(cs.stats()['queued'] < maxqueued);
+		produce();
+	});
+
+	cs.collect().then(function (buf) {
+		mod_assert.equal(buf.toString(), expected());
+		mod_assert.ok(nfull > 0);
+		mod_assert.equal(ndrains, nfull);
+		mod_assert.equal(maxdepth, maxqueued);
+		log.info({ 'ndrains': ndrains }, 'cat: ok');
+		callback();
+	}).catch(callback);
+
+	produce();
+}
+
+function testFrom(_, callback)
+{
+	var iterable = {};
+	var nstarted, maxdepth;
+
+	/*
+	 * The stream doesn't exist yet when we're first iterated, so count
+	 * resources started ourselves.
+	 */
+	nstarted = 0;
+	maxdepth = 0;
+	iterable[Symbol.iterator] = function () {
+		var j = 0;
+		return ({
+		    'next': function () {
+			var func;
+
+			maxdepth = Math.max(maxdepth, j - nstarted);
+			if (j == nresources)
+				return ({ 'done': true });
+			func = makeFunc(j++);
+			return ({
+			    'done': false,
+			    'value': function (sopts) {
+				nstarted++;
+				return (func(sopts));
+			    }
+			});
+		    }
+		});
+	};
+
+	CatStreams.from(iterable, options).collect().then(function (buf) {
+		mod_assert.equal(buf.toString(), expected());
+		mod_assert.ok(maxdepth < maxqueued,
+		    'iterable consumed too eagerly');
+		log.info('from: ok');
+		callback();
+	}).catch(callback);
+}
+
+function testDuplex(_, callback)
+{
+	var listing, duplex, chunks, j, maxdepth;
+
+	listing = new mod_stream.Readable({ 'objectMode': true });
+	j = 0;
+	maxdepth = 0;
+	listing._read = function () {
+		if (j == nresources) {
+			listing.push(null);
+			return;
+		}
+
+		maxdepth = Math.max(maxdepth, duplex.stats()['queued']);
+		listing.push(makeFunc(j++));
+	};
+
+	duplex = new CatStreams.CatDuplex({
+	    'log': log,
+	    'perRequestBuffer': 1024,
+	    'maxConcurrency': 4,
+	    'maxQueued': maxqueued,
+	    'maxPending': 1000
+	});
+
+	chunks = [];
+	duplex.on('data', function (chunk) { chunks.push(chunk); });
+	duplex.on('end', function () {
+		mod_assert.equal(Buffer.concat(chunks).toString(), expected());
+		mod_assert.ok(maxdepth <= maxqueued,
+		    'too many resources queued');
+		log.info({ 'maxdepth': maxdepth }, 'duplex: ok');
+		callback();
+	});
+
+	listing.pipe(duplex);
+}
@@ -0,0 +1,261 @@
+/*
+ * tst.ranged.js: exercise resources fetched in segments with catRanged().
+ */
+
+var mod_assert = require('assert');
+var mod_bunyan = require('bunyan');
+var mod_crypto = require('crypto');
+var mod_vasync = require('vasync');
+
+var CatStreams = require('../lib/catstreams');
+var FaultSource = require('./faultsource');
+var FuzzSource = require('./fuzzsource');
+
+var log = new mod_bunyan({
+    'name': 'tst.ranged.js',
+    'level': process.env['LOG_LEVEL'] || 'info',
+    'serializers': {}
+});
+
+var segsize = 10000;
+var big = new FuzzSource(95000).rawbuf();	/* 10 segments, last short */
+var small = [ new FuzzSource(3000).rawbuf(), new FuzzSource(4000).rawbuf() ];
+var md5 = mod_crypto.createHash('md5').update(big).digest('hex');
+
+var test_cases = [ {
+    'name': 'basic'
+}, {
+    'name': 'unordered',
+    'options': { 'ordered': false },
+    'unordered': true
+}, {
+    'name': 'segment retried',
+    'options': { 'retry': { 'retries': 1, 'minTimeout': 1 } },
+    'failSegment': 3,
+    'failAfter': 2048
+}, {
+    'name': 'segment failed',
+    'options': { 'onResourceError': 'skip' },
+    'failSegment': 3,
+    'failAfter': 2048,
+    'failed': true
+}, {
+    'name': 'cancelled',
+    'cancelAfter': 2,
+    'cancelled': true
+}, {
+    'name': 'digest mismatch',
+    'options': { 'onResourceError': 'skip' },
+    'md5': 'bogus',
+    'failed': true
+} ];
+
+mod_vasync.forEachPipeline({
+    'inputs': test_cases,
+    'func': runTestCase
+}, function (err) {
+	if (err) {
+		log.fatal(err, 'TEST FAILED');
+		process.exit(1);
+	}
+
+	testEmpty(function (err2) {
+		if (err2) {
+			log.fatal(err2, 'TEST FAILED');
+			process.exit(1);
+		}
+
+		log.info('TEST PASSED');
+	});
+});
+
+function runTestCase(tc, callback)
+{
+	var options, cs, handle, chunks, ranges, nsetup, maxsetup, nerrors;
+	var injected, j;
+
+	options = {
+	    'log': log,
+	    'perRequestBuffer': 4096,
+	    'maxConcurrency': 4,
+	    'separator': '--',
+	    'header': function (info) { return ('<' + info['index'] + '>'); },
+	    'footer': function (info) {
+		return ('</' + info['index'] + ':' + info['nbytes'] + '>');
+	    }
+	};
+	for (j in tc['options'])
+		options[j] = tc['options'][j];
+
+	cs = new CatStreams(options);
+	ranges = [];
+	nsetup = 0;
+	maxsetup = 0;
+	nerrors = 0;
+	injected = false;
+
+	cs.cat(function (sopts) {
+		return (new FaultSource(small[0], {
+		    'highWaterMark': sopts['highWaterMark'],
+		    'delay': tc['unordered'] ? 30 : 1
+		}));
+	});
+
+	handle = cs.catRanged(big.length, function (sopts, cb) {
+		var seg, source;
+
+		mod_assert.ok(sopts['end'] >= sopts['start']);
+		mod_assert.equal(sopts['end'] - sopts['start'] + 1,
+		    Math.min(segsize, big.length -
+		    (sopts['start'] - sopts['offset'])) - sopts['offset']);
+		seg = Math.floor(sopts['start'] / segsize);
+		ranges.push([ sopts['start'], sopts['end'] ]);
+		maxsetup = Math.max(maxsetup, ++nsetup);
+
+		/* Later segments are faster, so they finish out of order. */
+		source = new FaultSource(
+		    big.slice(sopts['start'], sopts['end'] + 1), {
+			'highWaterMark': sopts['highWaterMark'],
+			'chunkSize': 1024,
+			'delay': 10 - seg,
+			'failAfter': seg === tc['failSegment'] && !injected ?
+			    tc['failAfter'] : -1
+		    });
+		if (seg === tc['failSegment'])
+			injected = true;
+		source.on('end', function () { nsetup--; });
+		source.on('error', function () { nsetup--; });
+		source.on('close', function () {
+			if (!source._readableState.endEmitted)
+				nsetup--;
+		});
+		setImmediate(cb, null, source);
+	}, { 'segmentSize': segsize, 'md5': tc['md5'] || md5 });
+
+	mod_assert.equal(handle.index, 1);
+	mod_assert.equal(handle.state(), 'queued');
+
+	cs.cat(function (sopts) {
+		return (new FaultSource(small[1], {
+		    'highWaterMark': sopts['highWaterMark']
+		}));
+	});
+	cs.cat(null);
+
+	cs.on('resource-end', function (info) {
+		if (info['index'] == 1)
+			mod_assert.equal(info['nbytes'], big.length);
+	});
+
+	cs.on('resource-error', function (err) {
+		nerrors++;
+		log.info(err, 'resource error');
+	});
+
+	if (tc['cancelAfter'] !== undefined) {
+		cs.on('data', function () {
+			if (handle.nbytes() >= tc['cancelAfter'] * segsize &&
+			    handle.state() == 'piping') {
+				mod_assert.equal(handle.nbytes(),
+				    tc['cancelAfter'] * segsize);
+				mod_assert.ok(handle.cancel());
+			}
+		});
+	}
+
+	chunks = [];
+	cs.on('data', function (chunk) { chunks.push(chunk); });
+	cs.on('end', function () {
+		var output, expected, stats, partial;
+
+		output = Buffer.concat(chunks).toString('binary');
+		stats = cs.stats();
+
+		if (tc['unordered']) {
+			/* The big resource comes first, since it's faster. */
+			expected = '<1>' + big.toString('binary') + '</1:' +
+			    big.length + '>--<0>' +
+			    small[0].toString('binary') + '</0:3000>' +
+			    '--<2>' + small[1].toString('binary') + '</2:4000>';
+			mod_assert.equal(output, expected);
+		} else if (tc['failed'] || tc['cancelled']) {
+			/*
+			 * Whatever was emitted before the failure should be
+			 * intact.  How much that is depends on timing.
+			 */
+			expected = '<0>' + small[0].toString('binary') +
+			    '</0:3000>--<1>';
+			mod_assert.equal(output.substr(0, expected.length),
+			    expected);
+			output = output.substr(expected.length);
+			expected = '--<2>' + small[1].toString('binary') +
+			    '</2:4000>';
+			mod_assert.equal(output.substr(
+			    output.length - expected.length), expected);
+			partial = output.substr(0,
+			    output.length - expected.length);
+			mod_assert.equal(partial,
+			    big.slice(0, partial.length).toString('binary'));
+			if (tc['cancelled'])
+				mod_assert.equal(partial.length,
+				    tc['cancelAfter'] * segsize);
+			else if (tc['failSegment'] !== undefined)
+				mod_assert.ok(partial.length <=
+				    tc['failSegment'] * segsize +
+				    tc['failAfter']);
+		} else {
+			expected = '<0>' + small[0].toString('binary') +
+			    '</0:3000>--<1>' + big.toString('binary') +
+			    '</1:' + big.length + '>--<2>' +
+			    small[1].toString('binary') + '</2:4000>';
+			mod_assert.equal(output, expected);
+		}
+
+		mod_assert.ok(maxsetup <= 4, 'too many segments at once');
+		mod_assert.equal(nerrors, tc['failed'] ? 1 : 0);
+		mod_assert.equal(stats['failed'], tc['failed'] ? 1 : 0);
+		mod_assert.equal(stats['cancelled'], tc['cancelled'] ? 1 : 0);
+		mod_assert.equal(stats['done'],
+		    tc['failed'] || tc['cancelled'] ? 2 : 3);
+		mod_assert.equal(handle.state(), tc['failed'] ? 'failed' :
+		    tc['cancelled'] ? 'cancelled' : 'done');
+
+		if (tc['failSegment'] !== undefined && !tc['failed']) {
+			/* The retry picks up where the first attempt failed. */
+			partial = ranges.filter(function (r) {
+				return (Math.floor(r[0] / segsize) ==
+				    tc['failSegment']);
+			});
+			mod_assert.equal(partial.length, 2);
+			mod_assert.ok(partial[1][0] <= tc['failSegment'] *
+			    segsize + tc['failAfter']);
+			mod_assert.equal(partial[1][1],
+			    (tc['failSegment'] + 1) * segsize - 1);
+		}
+
+		log.info({ 'ranges': ranges.length }, '%s: ok', tc['name']);
+		callback();
+	});
+}
+
+function testEmpty(callback)
+{
+	var cs, handle, called;
+
+	cs = new CatStreams({
+	    'log': log,
+	    'perRequestBuffer': 4096,
+	    'maxConcurrency': 4
+	});
+	called = false;
+	handle = cs.catRanged(0, function () { called = true; });
+	cs.cat(null);
+	cs.collect().then(function (buf) {
+		mod_assert.equal(buf.length, 0);
+		mod_assert.ok(!called);
+		mod_assert.equal(handle.state(), 'done');
+		mod_assert.equal(cs.stats()['done'], 1);
+		log.info('empty: ok');
+		callback();
+	}).catch(callback);
+}
@@ -0,0 +1,127 @@
+/*
+ * tst.ratelimit.js: exercise the global and per-resource rate limits.
+ */
+
+var mod_assert = require('assert');
+var mod_bunyan = require('bunyan');
+var mod_vasync = require('vasync');
+
+var CatStreams = require('../lib/catstreams');
+var FaultSource = require('./faultsource');
+var FuzzSource = require('./fuzzsource');
+
+var log = new mod_bunyan({
+    'name': 'tst.ratelimit.js',
+    'level': process.env['LOG_LEVEL'] || 'info',
+    'serializers': {}
+});
+
+var bufsize = 16 * 1024;
+var bufs = [];
+var i;
+
+for (i = 0; i < 4; i++)
+	bufs.push(new FuzzSource(bufsize).rawbuf());
+
+var test_cases = [ {
+    'name': 'global limit',
+    'options': { 'maxBytesPerSecond': 64 * 1024 },
+    'resourceOptions': [ {}, {}, {}, {} ],
+    'minElapsed': 800,
+    'maxElapsed': 2000
+}, {
+    'name': 'per-resource limit',
+    'options': { 'maxResourceBytesPerSecond': 64 * 1024 },
+    'resourceOptions': [ {}, {}, {}, {} ],
+    'minElapsed': 500,
+    'maxElapsed': 1500
+}, {
+    'name': 'one resource overridden',
+    'options': {},
+    'resourceOptions': [ {}, { 'maxBytesPerSecond': 32 * 1024 }, {}, {} ],
+    'minElapsed': 350,
+    'maxElapsed': 1500
+}, {
+    'name': 'both limits',
+    'options': {
+	'maxBytesPerSecond': 64 * 1024,
+	'maxResourceBytesPerSecond': 1024 * 1024
+    },
+    'resourceOptions': [ {}, {}, { 'maxBytesPerSecond': 16 * 1024 }, {} ],
+    'minElapsed': 1300,
+    'maxElapsed': 3000
+} ];
+
+mod_vasync.forEachPipeline({
+    'inputs': test_cases,
+    'func': runTestCase
+}, function (err) {
+	if (err) {
+		log.fatal(err, 'TEST FAILED');
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+function runTestCase(tc, callback)
+{
+	var options, cs, sources, handles, chunks, start, maxahead, timer;
+
+	options = {
+	    'log': log,
+	    'perRequestBuffer': 2048,
+	    'maxConcurrency': 2
+	};
+	for (i in tc['options'])
+		options[i] = tc['options'][i];
+
+	cs = new CatStreams(options);
+	sources = [];
+	handles = [];
+	maxahead = 0;
+	tc['resourceOptions'].forEach(function (ropts, j) {
+		handles.push(cs.cat(function (sopts) {
+			sources[j] = new FaultSource(bufs[j], {
+			    'highWaterMark': sopts['highWaterMark'],
+			    'chunkSize': 512
+			});
+			return (sources[j]);
+		}, ropts));
+	});
+	cs.cat(null);
+
+	/*
+	 * Make sure we're applying backpressure rather than reading the
+	 * streams as fast as they go.
+	 */
+	timer = setInterval(function () {
+		handles.forEach(function (handle, j) {
+			if (sources[j] !== undefined)
+				maxahead = Math.max(maxahead,
+				    sources[j].fs_emitted - handle.nbytes());
+		});
+	}, 10);
+
+	chunks = [];
+	start = Date.now();
+	cs.on('data', function (chunk) { chunks.push(chunk); });
+	cs.on('end', function () {
+		var elapsed = Date.now() - start;
+
+		clearInterval(timer);
+		mod_assert.ok(Buffer.concat(chunks).equals(
+		    Buffer.concat(bufs)));
+		log.info({
+		    'elapsed': elapsed,
+		    'maxahead': maxahead
+		}, '%s: ok', tc['name']);
+		mod_assert.ok(elapsed >= tc['minElapsed'],
+		    'finished too quickly: ' + elapsed + 'ms');
+		mod_assert.ok(elapsed <= tc['maxElapsed'],
+		    'finished too slowly: ' + elapsed + 'ms');
+		mod_assert.ok(maxahead <= 2048 + 512,
+		    'read too far ahead: ' + maxahead);
+		callback();
+	});
+}
@@ -0,0 +1,138 @@
+/*
+ * tst.retry.js: exercise CatStreams's per-resource retry policy using sources
+ * that fail partway through.
+ */
+
+var mod_assert = require('assert');
+var mod_bunyan = require('bunyan');
+var mod_vasync = require('vasync');
+
+var CatStreams = require('../lib/catstreams');
+var FaultSource = require('./faultsource');
+var FuzzSource = require('./fuzzsource');
+
+var log = new mod_bunyan({
+    'name': 'tst.retry.js',
+    'level': process.env['LOG_LEVEL'] || 'info',
+    'serializers': {}
+});
+
+/*
+ * Each test case describes a list of resources.  Each resource has a size and
+ * a list of failures: the Nth stream created for that resource fails after
+ * failures[N] bytes.  Streams after the last listed failure succeed.
+ */
+var test_cases = {
+    'no_failures': {
+	'resources': [
+	    { 'size': 5000, 'failures': [] },
+	    { 'size': 0, 'failures': [] },
+	    { 'size': 7000, 'failures': [] }
+	]
+    },
+
+    'resume_mid_stream': {
+	/* each failure happens after some bytes have been emitted */
+	'resources': [
+	    { 'size': 5000, 'failures': [ 1500, 3000 ] },
+	    { 'size': 8000, 'failures': [ 0 ] },
+	    { 'size': 7000, 'failures': [ 6500 ] }
+	]
+    },
+
+    'retries_exhausted': {
+	'resources': [
+	    { 'size': 5000, 'failures': [] },
+	    { 'size': 5000, 'failures': [ 1000, 2000, 3000, 4000 ] }
+	],
+	'error': /resource 1 attempt 3 failed/
+    },
+
+    'not_retryable': {
+	'retryable': function (err) { return (!/attempt 0/.test(err)); },
+	'resources': [
+	    { 'size': 5000, 'failures': [ 0 ] }
+	],
+	'error': /resource 0 attempt 0 failed/
+    }
+};
+
+mod_vasync.pipeline({
+    'funcs': Object.keys(test_cases).map(function (name) {
+	return (runTestCase.bind(null, name, test_cases[name]));
+    })
+}, function (err) {
+	if (err) {
+		log.fatal(err, 'TEST FAILED');
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+function runTestCase(name, t, _, callback)
+{
+	var stream, sources, expected, bufs;
+
+	log.info('test "%s": start', name);
+
+	stream = new CatStreams({
+	    'log': log,
+	    'perRequestBuffer': 1024,
+	    'maxConcurrency': 2,
+	    'retry': {
+		'retries': 3,
+		'minTimeout': 10,
+		'maxTimeout': 40,
+		'retryable': t['retryable']
+	    }
+	});
+
+	sources = t['resources'].map(function (r) {
+		return (new FuzzSource(r['size']).rawbuf());
+	});
+	expected = Buffer.concat(sources);
+
+	t['resources'].forEach(function (r, i) {
+		var attempt = 0;
+		stream.cat(function (options) {
+			var failures = r['failures'];
+			var fopts = {
+			    'highWaterMark': options['highWaterMark']
+			};
+
+			if (attempt < failures.length) {
+				fopts['failAfter'] =
+				    failures[attempt] - options['offset'];
+				fopts['error'] = new Error('resource ' + i +
+				    ' attempt ' + attempt + ' failed');
+			}
+			attempt++;
+
+			return (new FaultSource(
+			    sources[i].slice(options['offset']), fopts));
+		});
+	});
+	stream.cat(null);
+
+	bufs = [];
+	stream.on('data', function (chunk) { bufs.push(chunk); });
+
+	stream.on('error', function (err) {
+		if (t['error'] && t['error'].test(err.message)) {
+			log.info(err, 'test "%s": found expected error', name);
+			callback();
+			return;
+		}
+
+		callback(err);
+	});
+
+	stream.on('end', function () {
+		mod_assert.ok(!t['error'], 'expected error, but got none');
+		mod_assert.ok(Buffer.concat(bufs).equals(expected),
+		    'content mismatch');
+		log.info('test "%s": content matched', name);
+		callback();
+	});
+}
@@ -0,0 +1,260 @@
+/*
+ * tst.spill.js: exercise spilling resources that are ready ahead of the head
+ * of the queue to a spill directory.
+ */
+
+var mod_assert = require('assert');
+var mod_bunyan = require('bunyan');
+var mod_fs = require('fs');
+var mod_os = require('os');
+var mod_path = require('path');
+var mod_vasync = require('vasync');
+
+var CatStreams = require('../lib/catstreams');
+var FaultSource = require('./faultsource');
+var FuzzSource = require('./fuzzsource');
+
+var log = new mod_bunyan({
+    'name': 'tst.spill.js',
+    'level': process.env['LOG_LEVEL'] || 'info',
+    'serializers': {}
+});
+
+/*
+ * The first resource is slow, so the others are all ready well before it's
+ * their turn.  With only two streams at a time and small buffers, the others
+ * can only all be fetched by then if they're spilled.
+ */
+var sizes = [ 16 * 1024, 32 * 1024, 32 * 1024, 1000, 0, 32 * 1024 ];
+var bufs = sizes.map(function (size) {
+	return (new FuzzSource(size).rawbuf());
+});
+var all = Buffer.concat(bufs);
+
+var spilldir = mod_fs.mkdtempSync(
+    mod_path.join(mod_os.tmpdir(), 'tst.spill.'));
+
+var test_cases = [ {
+    'name': 'basic'
+}, {
+    'name': 'retry while spilling',
+    'failAfter': 4096,
+    'retries': 1
+}, {
+    'name': 'resource fails while spilling',
+    'failAfter': 4096,
+    'retries': 0,
+    'error': /resource 2: injected failure/
+}, {
+    'name': 'abort while spilling',
+    'abort': true
+}, {
+    'name': 'abort while emitting, unordered',
+    'unordered': true
+}, {
+    'name': 'global rate limit while spilling',
+    'options': { 'maxBytesPerSecond': 128 * 1024 }
+}, {
+    'name': 'per-resource rate limit while spilling',
+    'options': { 'maxResourceBytesPerSecond': 32 * 1024 }
+} ];
+
+mod_vasync.forEachPipeline({
+    'inputs': test_cases,
+    'func': runTestCase
+}, function (err) {
+	mod_fs.rmdirSync(spilldir);
+	if (err) {
+		log.fatal(err, 'TEST FAILED');
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+function runTestCase(tc, callback)
+{
+	var options, cs, fetched, ended, spilled, sources, timer, k;
+
+	if (tc['unordered']) {
+		runUnordered(tc, callback);
+		return;
+	}
+
+	options = {
+	    'log': log,
+	    'perRequestBuffer': 1024,
+	    'maxConcurrency': 2,
+	    'spillDirectory': spilldir,
+	    'retry': { 'retries': tc['retries'] || 0, 'minTimeout': 1 }
+	};
+	for (k in tc['options'])
+		options[k] = tc['options'][k];
+	cs = new CatStreams(options);
+
+	fetched = [];
+	ended = 0;
+	spilled = 0;
+	sources = [];
+	bufs.forEach(function (buf, j) {
+		cs.cat(function (sopts) {
+			var source, failAfter;
+
+			failAfter = -1;
+			if (j == 2 && tc['failAfter'] !== undefined &&
+			    fetched.indexOf(j) == -1)
+				failAfter = tc['failAfter'];
+
+			fetched.push(j);
+			source = new FaultSource(buf.slice(sopts['offset']), {
+			    'highWaterMark': sopts['highWaterMark'],
+			    'delay': j === 0 ? 5 : 0,
+			    'failAfter': failAfter
+			});
+			source.on('end', function () {
+				if (j > 0)
+					ended++;
+			});
+			sources.push({ 'source': source, 'start': Date.now() });
+			return (source);
+		});
+	});
+	cs.cat(null);
+
+	cs.on('resource-end', function (info) {
+		if (info['index'] !== 0)
+			return;
+
+		/*
+		 * By the time the slow resource is done, every other resource
+		 * has been read completely into the spill directory.
+		 */
+		spilled = cs.stats()['bytesSpilled'];
+		if (tc['options'] !== undefined)
+			return;
+		mod_assert.equal(ended, bufs.length - 1);
+		mod_assert.equal(spilled, all.length - bufs[0].length);
+	});
+
+	if (tc['abort']) {
+		cs.on('resource-first-byte', function (info) {
+			if (info['index'] != 3)
+				return;
+
+			setTimeout(function () {
+				mod_assert.notEqual(
+				    mod_fs.readdirSync(spilldir).length, 0);
+				cs.abort();
+			}, 10);
+		});
+		cs.on('abort', function () { checkClean(tc, callback); });
+		return;
+	}
+
+	if (tc['options'] !== undefined)
+		timer = setInterval(function () {
+			checkRate(tc, sources);
+		}, 10);
+
+	cs.collect().then(function (buf) {
+		if (tc['options'] !== undefined) {
+			clearInterval(timer);
+			checkRate(tc, sources);
+		}
+		mod_assert.ok(tc['error'] === undefined, 'expected error');
+		mod_assert.ok(buf.equals(all));
+		mod_assert.ok(spilled > 0);
+		mod_assert.equal(cs.stats()['bytesSpilled'], 0);
+		mod_assert.deepEqual(fetched, tc['failAfter'] !== undefined ?
+		    [ 0, 1, 2, 2, 3, 4, 5 ] : [ 0, 1, 2, 3, 4, 5 ]);
+		checkClean(tc, callback);
+	}).catch(function (err) {
+		if (tc['error'] === undefined ||
+		    !tc['error'].test(err.message)) {
+			callback(err);
+			return;
+		}
+
+		log.info(err, '%s: got expected error', tc['name']);
+		checkClean(tc, callback);
+	});
+}
+
+/*
+ * In unordered mode, a resource that becomes ready while nothing else is being
+ * emitted is emitted right away.  If our consumer aborts as soon as it sees
+ * that data, the resource must not be spilled afterwards.
+ */
+function runUnordered(tc, callback)
+{
+	var cs;
+
+	cs = new CatStreams({
+	    'log': log,
+	    'perRequestBuffer': 1024,
+	    'maxConcurrency': 2,
+	    'ordered': false,
+	    'spillDirectory': spilldir
+	});
+	cs.cat(function (sopts) {
+		return (new FaultSource(bufs[0], {
+		    'highWaterMark': sopts['highWaterMark'],
+		    'hangAfter': 0
+		}));
+	});
+	cs.cat(function (sopts) {
+		return (new FaultSource(bufs[3], {
+		    'highWaterMark': sopts['highWaterMark'],
+		    'delay': 10
+		}));
+	});
+	cs.cat(null);
+
+	cs.once('data', function () { cs.abort(); });
+	cs.on('abort', function () { checkClean(tc, callback); });
+}
+
+/*
+ * Check that data hasn't been read from the streams in "sources" faster than
+ * the rate limits in "tc" allow, give or take the burst allowed by the limits
+ * and what the streams themselves have buffered.
+ */
+function checkRate(tc, sources)
+{
+	var now = Date.now();
+	var slack = 8192;
+	var rate, total, start;
+
+	if (tc['options']['maxBytesPerSecond'] !== undefined) {
+		rate = tc['options']['maxBytesPerSecond'];
+		total = 0;
+		start = sources[0]['start'];
+		sources.forEach(function (s) {
+			total += s['source'].fs_emitted;
+		});
+		mod_assert.ok(total <= (now - start + 100) * rate / 1000 +
+		    slack, 'read too quickly: ' + total + ' bytes');
+		return;
+	}
+
+	rate = tc['options']['maxResourceBytesPerSecond'];
+	sources.forEach(function (s, j) {
+		mod_assert.ok(s['source'].fs_emitted <=
+		    (now - s['start'] + 100) * rate / 1000 + slack,
+		    'resource ' + j + ' read too quickly: ' +
+		    s['source'].fs_emitted + ' bytes');
+	});
+}
+
+/*
+ * Spill files are removed asynchronously, so give that a moment to finish
+ * before checking that they're all gone.
+ */
+function checkClean(tc, callback)
+{
+	setTimeout(function () {
+		mod_assert.deepEqual(mod_fs.readdirSync(spilldir), []);
+		log.info('%s: ok', tc['name']);
+		callback();
+	}, 100);
+}
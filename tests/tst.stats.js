@@ -0,0 +1,119 @@
+/*
+ * tst.stats.js: check CatStreams's stats() and per-resource events.
+ */
+
+var mod_assert = require('assert');
+var mod_bunyan = require('bunyan');
+
+var CatStreams = require('../lib/catstreams');
+var FaultSource = require('./faultsource');
+var FuzzSource = require('./fuzzsource');
+
+/* test parameters */
+var nstreams = 50;		/* number of streams */
+var maxsize = 20000;		/* max size of each stream */
+var nfailing = 5;		/* number of streams that fail once */
+
+var log = new mod_bunyan({
+    'name': 'tst.stats.js',
+    'level': process.env['LOG_LEVEL'] || 'info',
+    'serializers': {}
+});
+var catstream, bufs, total, nread;
+var events = {
+    'resource-start': [],
+    'resource-first-byte': [],
+    'resource-end': []
+};
+var i, k;
+
+catstream = new CatStreams({
+    'log': log,
+    'perRequestBuffer': 4096,
+    'maxConcurrency': 10,
+    'retry': { 'retries': 1, 'minTimeout': 1 }
+});
+
+for (k in events)
+	catstream.on(k, events[k].push.bind(events[k]));
+
+bufs = [];
+total = 0;
+for (i = 0; i < nstreams; i++) {
+	bufs.push(new FuzzSource(
+	    Math.floor(Math.random() * maxsize)).rawbuf());
+	total += bufs[i].length;
+	(function (j) {
+		var attempt = 0;
+		catstream.cat(function (options) {
+			var fopts = {
+			    'highWaterMark': options['highWaterMark']
+			};
+			if (j < nfailing && attempt++ === 0)
+				fopts['failAfter'] = 0;
+			return (new FaultSource(
+			    bufs[j].slice(options['offset']), fopts));
+		});
+	})(i);
+}
+catstream.cat(null);
+
+var initial = catstream.stats();
+mod_assert.equal(initial['queued'], nstreams);
+mod_assert.equal(initial['started'], 0);
+mod_assert.equal(initial['bytesEmitted'], 0);
+
+nread = 0;
+catstream.on('data', function (chunk) {
+	var stats;
+
+	nread += chunk.length;
+	stats = catstream.stats();
+	mod_assert.equal(stats['bytesEmitted'], nread);
+	mod_assert.ok(stats['done'] + stats['buffered'] + 1 <=
+	    stats['started']);
+	mod_assert.ok(stats['started'] <= nstreams);
+});
+
+catstream.on('end', function () {
+	var stats = catstream.stats();
+
+	log.info(stats, 'final stats');
+	mod_assert.deepEqual({
+	    'queued': stats['queued'],
+	    'started': stats['started'],
+	    'buffered': stats['buffered'],
+	    'done': stats['done'],
+	    'failed': stats['failed'],
+	    'bytesEmitted': stats['bytesEmitted'],
+	    'bytesBuffered': stats['bytesBuffered']
+	}, {
+	    'queued': 0,
+	    'started': nstreams,
+	    'buffered': 0,
+	    'done': nstreams,
+	    'failed': 0,
+	    'bytesEmitted': total,
+	    'bytesBuffered': 0
+	});
+
+	mod_assert.equal(events['resource-start'].length, nstreams + nfailing);
+	/* the failed attempts never had any data available */
+	mod_assert.equal(events['resource-first-byte'].length, nstreams);
+	mod_assert.equal(events['resource-end'].length, nstreams);
+	events['resource-end'].forEach(function (info, j) {
+		mod_assert.equal(info['index'], j);
+		mod_assert.equal(info['nbytes'], bufs[j].length);
+		mod_assert.equal(info['attempts'], j < nfailing ? 2 : 1);
+		mod_assert.equal(typeof (info['ttfb']), 'number');
+		mod_assert.ok(info['elapsed'] >= info['ttfb']);
+	});
+
+	/*
+	 * First-byte times are only kept for adaptiveConcurrency, which isn't
+	 * enabled here, so they mustn't accumulate.
+	 */
+	mod_assert.equal(catstream.cs_acttfbs.length, 0);
+
+	log.info('TEST PASSED');
+});
@@ -0,0 +1,147 @@
+/*
+ * tst.timeout.js: exercise CatStreams's per-resource timeouts using sources
+ * that hang or stall partway through.
+ */
+
+var mod_assert = require('assert');
+var mod_bunyan = require('bunyan');
+var mod_vasync = require('vasync');
+var mod_verror = require('verror');
+
+var CatStreams = require('../lib/catstreams');
+var FaultSource = require('./faultsource');
+var FuzzSource = require('./fuzzsource');
+
+var VError = mod_verror.VError;
+
+var log = new mod_bunyan({
+    'name': 'tst.timeout.js',
+    'level': process.env['LOG_LEVEL'] || 'info',
+    'serializers': {}
+});
+
+/*
+ * Each test case describes a list of resources, each with a size and a list of
+ * options for FaultSource (see faultsource.js).  The Nth stream created for a
+ * resource uses the Nth set of options, and streams after that use defaults.
+ * "expected" lists the resources whose contents should appear in the output.
+ */
+var test_cases = {
+    'first_byte_retry': {
+	'timeouts': { 'firstByte': 100 },
+	'retries': 1,
+	'resources': [
+	    { 'size': 5000, 'attempts': [] },
+	    { 'size': 5000, 'attempts': [ { 'hangAfter': 0 } ] },
+	    { 'size': 5000, 'attempts': [] }
+	],
+	'expected': [ 0, 1, 2 ]
+    },
+
+    'idle_resume': {
+	/* idle timeouts don't fire while the resource is waiting its turn */
+	'timeouts': { 'idle': 100 },
+	'retries': 1,
+	'resources': [
+	    { 'size': 5000, 'attempts': [ { 'delay': 30 } ] },
+	    { 'size': 5000, 'attempts': [ { 'hangAfter': 3000 } ] }
+	],
+	'expected': [ 0, 1 ]
+    },
+
+    'idle_skip': {
+	'timeouts': { 'idle': 100 },
+	'onResourceError': 'skip',
+	'resources': [
+	    { 'size': 5000, 'attempts': [ { 'hangAfter': 0 } ] },
+	    { 'size': 5000, 'attempts': [] }
+	],
+	'expected': [ 1 ]
+    },
+
+    'total_fail': {
+	'timeouts': { 'total': 200, 'idle': 1000 },
+	'resources': [
+	    { 'size': 5000, 'attempts': [] },
+	    { 'size': 50000, 'attempts': [ { 'delay': 20 } ] }
+	],
+	'check': function (err) {
+		mod_assert.ok(err);
+		mod_assert.equal(err.message,
+		    'resource 1: total timeout (200ms) expired');
+		mod_assert.equal(VError.info(err).timer, 'total');
+		mod_assert.equal(VError.info(err).index, 1);
+	}
+    }
+};
+
+mod_vasync.pipeline({
+    'funcs': Object.keys(test_cases).map(function (name) {
+	return (runTestCase.bind(null, name, test_cases[name]));
+    })
+}, function (err) {
+	if (err) {
+		log.fatal(err, 'TEST FAILED');
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+function runTestCase(name, t, _, callback)
+{
+	var stream, bufs, output, done;
+
+	log.info('test "%s": start', name);
+
+	stream = new CatStreams({
+	    'log': log,
+	    'perRequestBuffer': 1024,
+	    'maxConcurrency': 3,
+	    'timeouts': t['timeouts'],
+	    'onResourceError': t['onResourceError'],
+	    'retry': { 'retries': t['retries'] || 0, 'minTimeout': 10 }
+	});
+
+	bufs = t['resources'].map(function (r) {
+		return (new FuzzSource(r['size']).rawbuf());
+	});
+	t['resources'].forEach(function (r, i) {
+		var attempt = 0;
+		stream.cat(function (options) {
+			var fopts = {};
+			var k;
+
+			if (attempt < r['attempts'].length) {
+				for (k in r['attempts'][attempt])
+					fopts[k] = r['attempts'][attempt][k];
+			}
+			fopts['highWaterMark'] = options['highWaterMark'];
+			attempt++;
+			return (new FaultSource(
+			    bufs[i].slice(options['offset']), fopts));
+		});
+	});
+	stream.cat(null);
+
+	output = [];
+	stream.on('data', function (chunk) { output.push(chunk); });
+
+	done = function (err) {
+		if (t['check']) {
+			t['check'](err);
+		} else {
+			mod_assert.ifError(err);
+			mod_assert.ok(Buffer.concat(output).equals(
+			    Buffer.concat(t['expected'].map(function (i) {
+				return (bufs[i]);
+			    }))), 'content mismatch');
+		}
+
+		log.info('test "%s": passed', name);
+		callback();
+	};
+
+	stream.on('error', done);
+	stream.on('end', done.bind(null, null));
+}
@@ -0,0 +1,192 @@
+/*
+ * tst.transform.js: exercise per-resource transforms, including the built-in
+ * "gunzip" and "inflate" transforms.
+ */
+
+var mod_assert = require('assert');
+var mod_bunyan = require('bunyan');
+var mod_crypto = require('crypto');
+var mod_stream = require('stream');
+var mod_vasync = require('vasync');
+var mod_zlib = require('zlib');
+
+var CatStreams = require('../lib/catstreams');
+var FaultSource = require('./faultsource');
+var FuzzSource = require('./fuzzsource');
+
+var log = new mod_bunyan({
+    'name': 'tst.transform.js',
+    'level': process.env['LOG_LEVEL'] || 'info',
+    'serializers': {}
+});
+
+/*
+ * Random data doesn't compress, so each resource is a run of random bytes
+ * repeated a few times to give zlib something to do.
+ */
+var bufs = [ 3000, 0, 20000, 700 ].map(function (size) {
+	var buf = new FuzzSource(size).rawbuf();
+	return (Buffer.concat([ buf, buf, buf ]));
+});
+var all = Buffer.concat(bufs);
+
+var test_cases = [ {
+    'name': 'gunzip',
+    'transform': 'gunzip',
+    'encode': mod_zlib.gzipSync
+}, {
+    'name': 'inflate',
+    'transform': 'inflate',
+    'encode': mod_zlib.deflateSync
+}, {
+    'name': 'custom transform',
+    'transform': function (info) {
+	var stream;
+
+	/* This is the budget reserved for the resource (perRequestBuffer). */
+	mod_assert.equal(info['highWaterMark'], 1024);
+	stream = new mod_stream.Transform(
+	    { 'highWaterMark': info['highWaterMark'] });
+	stream._transform = function (chunk, _, callback) {
+		callback(null, xor(chunk, info['metadata']));
+	};
+	return (stream);
+    },
+    'encode': xor
+}, {
+    'name': 'retried while being emitted',
+    'transform': 'gunzip',
+    'encode': mod_zlib.gzipSync,
+    'failAfter': 2048
+}, {
+    'name': 'corrupt data',
+    'transform': 'gunzip',
+    'encode': function (buf, i) {
+	return (i == 2 ? buf : mod_zlib.gzipSync(buf));
+    },
+    'error': /resource 2: incorrect header check/
+} ];
+
+mod_vasync.forEachPipeline({
+    'inputs': test_cases,
+    'func': runTestCase
+}, function (err) {
+	if (err) {
+		log.fatal(err, 'TEST FAILED');
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+function runTestCase(tc, callback)
+{
+	var cs, offsets, sources, failed, transformed;
+
+	cs = new CatStreams({
+	    'log': log,
+	    'perRequestBuffer': 1024,
+	    'maxConcurrency': 3,
+	    'retry': { 'retries': 1, 'minTimeout': 1 }
+	});
+
+	offsets = [];
+	sources = [];
+	failed = false;
+	transformed = 0;
+	cs.on('resource-first-byte', function (info) {
+		if (info['index'] == 2 && cs.stats()['done'] === 0)
+			transformed++;
+	});
+
+	bufs.forEach(function (buf, i) {
+		var encoded = tc['encode'](buf, i);
+
+		cs.cat(function (sopts) {
+			var failAfter, source;
+
+			failAfter = -1;
+			if (i === 0 && tc['failAfter'] !== undefined &&
+			    !failed) {
+				failAfter = tc['failAfter'];
+				failed = true;
+			}
+
+			offsets.push(sopts['offset']);
+			source = new FaultSource(encoded, {
+			    'highWaterMark': sopts['highWaterMark'],
+			    'chunkSize': 512,
+			    'delay': i === 0 ? 1 : 0,
+			    'failAfter': failAfter
+			});
+			sources.push(source);
+			return (source);
+		}, {
+		    'metadata': i,
+		    'transform': tc['transform'],
+		    'size': buf.length,
+		    'sha256': sha256(buf)
+		});
+	});
+	cs.cat(null);
+
+	if (tc['failAfter'] !== undefined) {
+		/*
+		 * Make sure part of the resource has been emitted before its
+		 * source fails, so that the retry has to skip over it.
+		 */
+		cs.on('resource-start', function (info) {
+			if (info['index'] === 0 && info['attempts'] == 2)
+				mod_assert.ok(info['nbytes'] > 0);
+		});
+	}
+
+	cs.collect().then(function (buf) {
+		mod_assert.ok(tc['error'] === undefined, 'expected error');
+		mod_assert.ok(buf.equals(all));
+		mod_assert.deepEqual(offsets, tc['failAfter'] !== undefined ?
+		    [ 0, 0, 0, 0, 0 ] : [ 0, 0, 0, 0 ]);
+
+		/*
+		 * The slow first resource is still being emitted when later
+		 * ones have already been transformed.
+		 */
+		mod_assert.equal(transformed, 1);
+		log.info('%s: ok', tc['name']);
+		callback();
+	}).catch(function (err) {
+		if (tc['error'] === undefined ||
+		    !tc['error'].test(err.message)) {
+			callback(err);
+			return;
+		}
+
+		/* The source of the failed resource was aborted. */
+		setImmediate(function () {
+			mod_assert.ok(sources[2].destroyed);
+			log.info('%s: ok', tc['name']);
+			callback();
+		});
+	});
+}
+
+/*
+ * Returns a copy of "buf" with each byte XOR'd with "key".
+ */
+function xor(buf, key)
+{
+	var out, i;
+
+	out = Buffer.from(buf);
+	for (i = 0; i < out.length; i++)
+		out[i] ^= key;
+	return (out);
+}
+
+/*
+ * Returns the hex SHA-256 digest of "buf".
+ */
+function sha256(buf)
+{
+	return (mod_crypto.createHash('sha256').update(buf).digest('hex'));
+}
@@ -0,0 +1,136 @@
+/*
+ * tst.unordered.js: exercise CatStreams with "ordered: false", checking that
+ * slow resources don't hold up the ones behind them and that data from
+ * different resources is never interleaved.
+ */
+
+var mod_assert = require('assert');
+var mod_bunyan = require('bunyan');
+var mod_stream = require('stream');
+var mod_vasync = require('vasync');
+
+var CatStreams = require('../lib/catstreams');
+var FaultSource = require('./faultsource');
+
+var log = new mod_bunyan({
+    'name': 'tst.unordered.js',
+    'level': process.env['LOG_LEVEL'] || 'info',
+    'serializers': {}
+});
+
+/* per-resource delay between chunks: the first resources are the slowest */
+var delays = [ 100, 50, 0, 0, 10, 0, 0, 0 ];
+
+mod_vasync.pipeline({
+    'funcs': [ testBytes, testObjects ]
+}, function (err) {
+	if (err) {
+		log.fatal(err, 'TEST FAILED');
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+/*
+ * Each resource consists of a single repeated byte that identifies it, so we
+ * can tell from the output the order in which resources were emitted and
+ * whether any were interleaved.
+ */
+function testBytes(_, callback)
+{
+	var stream, output;
+
+	stream = new CatStreams({
+	    'log': log,
+	    'perRequestBuffer': 1024,
+	    'maxConcurrency': delays.length,
+	    'ordered': false
+	});
+
+	delays.forEach(function (delay, i) {
+		stream.cat(function (options) {
+			var buf = new Buffer(5000);
+			buf.fill(i);
+			return (new FaultSource(buf, {
+			    'highWaterMark': options['highWaterMark'],
+			    'delay': delay
+			}));
+		});
+	});
+	stream.cat(null);
+
+	output = [];
+	stream.on('data', function (chunk) { output.push(chunk); });
+	stream.on('end', function () {
+		var buf, order, i;
+
+		buf = Buffer.concat(output);
+		mod_assert.equal(buf.length, 5000 * delays.length);
+
+		order = [];
+		for (i = 0; i < buf.length; i += 5000) {
+			order.push(buf[i]);
+			mod_assert.ok(buf.slice(i, i + 5000).equals(
+			    new Buffer(5000).fill(buf[i])),
+			    'resources were interleaved');
+		}
+
+		log.info({ 'order': order }, 'bytes: emitted order');
+		mod_assert.deepEqual(order.slice().sort(),
+		    delays.map(function (_2, j) { return (j); }));
+		mod_assert.equal(order[order.length - 1], 0,
+		    'slowest resource was not emitted last');
+		callback();
+	});
+}
+
+function testObjects(_, callback)
+{
+	var stream, output;
+
+	stream = new CatStreams({
+	    'log': log,
+	    'perRequestBuffer': 10,
+	    'maxConcurrency': delays.length,
+	    'ordered': false,
+	    'streamOptions': { 'objectMode': true }
+	});
+
+	delays.forEach(function (delay, i) {
+		stream.cat(function (options) {
+			var s = new mod_stream.Readable({
+			    'objectMode': true,
+			    'highWaterMark': options['highWaterMark']
+			});
+			var n = 0;
+			s._read = function () {
+				setTimeout(function () {
+					s.push(n < 5 ? { 'value': n++ } : null);
+				}, delay);
+			};
+			return (s);
+		});
+	});
+	stream.cat(null);
+
+	output = [];
+	stream.on('data', function (obj) { output.push(obj); });
+	stream.on('end', function () {
+		var i;
+
+		mod_assert.equal(output.length, 5 * delays.length);
+		for (i = 0; i < output.length; i++) {
+			mod_assert.equal(output[i]['index'],
+			    output[i - (i % 5)]['index'],
+			    'resources were interleaved');
+			mod_assert.deepEqual(output[i]['chunk'],
+			    { 'value': i % 5 });
+		}
+
+		mod_assert.equal(output[output.length - 1]['index'], 0,
+		    'slowest resource was not emitted last');
+		log.info('objects: ok');
+		callback();
+	});
+}
@@ -0,0 +1,170 @@
+/*
+ * tst.window.js: exercise emitting a window of the concatenated output using
+ * the "start" and "length" options.
+ */
+
+var mod_assert = require('assert');
+var mod_bunyan = require('bunyan');
+var mod_vasync = require('vasync');
+
+var CatStreams = require('../lib/catstreams');
+var FaultSource = require('./faultsource');
+var FuzzSource = require('./fuzzsource');
+
+var log = new mod_bunyan({
+    'name': 'tst.window.js',
+    'level': process.env['LOG_LEVEL'] || 'info',
+    'serializers': {}
+});
+
+/*
+ * Resources occupy [0, 1000), [1000, 3000), [3000, 6000), [6000, 6500), and
+ * [6500, 10500) in the concatenated output.
+ */
+var sizes = [ 1000, 2000, 3000, 500, 4000 ];
+var bufs = sizes.map(function (size) {
+	return (new FuzzSource(size).rawbuf());
+});
+var all = Buffer.concat(bufs);
+
+var test_cases = [ {
+    'name': 'middle',
+    'start': 1500,
+    'length': 3000,
+    'fetched': [ [ 1, 500, 1999 ], [ 2, 0, 1499 ] ]
+}, {
+    'name': 'first resource exactly',
+    'start': 0,
+    'length': 1000,
+    'fetched': [ [ 0 ] ]
+}, {
+    'name': 'start only',
+    'start': 6000,
+    'fetched': [ [ 3 ], [ 4 ] ]
+}, {
+    'name': 'length only',
+    'length': 1001,
+    'fetched': [ [ 0 ], [ 1, 0, 0 ] ]
+}, {
+    'name': 'across a boundary',
+    'start': 2999,
+    'length': 2,
+    'fetched': [ [ 1, 1999, 1999 ], [ 2, 0, 0 ] ]
+}, {
+    'name': 'empty',
+    'start': 4000,
+    'length': 0,
+    'fetched': []
+}, {
+    'name': 'past the end',
+    'start': 20000,
+    'fetched': []
+}, {
+    'name': 'partial resource retried',
+    'start': 3500,
+    'length': 2000,
+    'failAfter': 1024,
+    'fetched': [ [ 2, 500, 2499 ], [ 2, 1524, 2499 ] ]
+}, {
+    'name': 'ranged resource',
+    'ranged': true,
+    'start': 4500,
+    'length': 5500,
+    'fetched': [ [ 2, 1500, 2499 ], [ 2, 2500, 2999 ], [ 3, 0, 499 ],
+	[ 4, 0, 999 ], [ 4, 1000, 1999 ], [ 4, 2000, 2999 ],
+	[ 4, 3000, 3499 ] ]
+} ];
+
+mod_vasync.forEachPipeline({
+    'inputs': test_cases,
+    'func': runTestCase
+}, function (err) {
+	if (err) {
+		log.fatal(err, 'TEST FAILED');
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+function runTestCase(tc, callback)
+{
+	var options, cs, fetched, handles, failed;
+
+	options = {
+	    'log': log,
+	    'perRequestBuffer': 1024,
+	    'maxConcurrency': 3,
+	    'retry': { 'retries': 1, 'minTimeout': 1 }
+	};
+	if (tc['start'] !== undefined)
+		options['start'] = tc['start'];
+	if (tc['length'] !== undefined)
+		options['length'] = tc['length'];
+
+	cs = new CatStreams(options);
+	fetched = [];
+	failed = false;
+
+	handles = bufs.map(function (buf, j) {
+		var func = function (sopts) {
+			var start, end, failAfter;
+
+			if (sopts['start'] === undefined) {
+				fetched.push([ j ]);
+				start = sopts['offset'];
+				end = buf.length - 1;
+			} else {
+				fetched.push(
+				    [ j, sopts['start'], sopts['end'] ]);
+				start = sopts['start'];
+				end = sopts['end'];
+			}
+
+			failAfter = -1;
+			if (tc['failAfter'] !== undefined && !failed) {
+				failAfter = tc['failAfter'];
+				failed = true;
+			}
+
+			return (new FaultSource(buf.slice(start, end + 1), {
+			    'highWaterMark': sopts['highWaterMark'],
+			    'failAfter': failAfter
+			}));
+		};
+
+		if (tc['ranged'])
+			return (cs.catRanged(buf.length, func,
+			    { 'segmentSize': 1000 }));
+		return (cs.cat(func, { 'size': buf.length }));
+	});
+	cs.cat(null);
+
+	cs.collect().then(function (buf) {
+		var start, end, nskipped;
+
+		start = tc['start'] || 0;
+		end = tc['length'] === undefined ? all.length :
+		    start + tc['length'];
+		mod_assert.ok(buf.equals(all.slice(start, end)));
+
+		fetched.sort(function (a, b) {
+			return (a[0] - b[0] || a[1] - b[1]);
+		});
+		mod_assert.deepEqual(fetched, tc['fetched']);
+
+		nskipped = 0;
+		handles.forEach(function (h, j) {
+			var used = tc['fetched'].some(function (f) {
+				return (f[0] == j);
+			});
+			mod_assert.equal(h.state(), used ? 'done' : 'skipped');
+			if (!used)
+				nskipped++;
+		});
+		mod_assert.equal(cs.stats()['skipped'], nskipped);
+
+		log.info('%s: ok', tc['name']);
+		callback();
+	}).catch(callback);
+}